@@ -20,12 +20,41 @@ const Somvas = (function() {
         ctx: null,
         scenes: {},
         currentScene: null,
+        // Scenes stacked by pushScene (currentScene is the top)
+        sceneStack: [],
+        // Running scene transition (null when there is none)
+        transition: null,
         isRunning: false,
         lastTime: 0,
         deltaTime: 0,
+        // Unscaled (but clamped) time of the last frame
+        unscaledDeltaTime: 0,
+        // Scaled seconds of game time since start
+        time: 0,
+        frameCount: 0,
+        // Time scale (0.5 = slow motion), pause state and frame-spike clamp
+        timeScale: 1,
+        isPaused: false,
+        maxDeltaTime: 0.25,
+        // Fixed timestep in seconds (null for variable updates only)
+        fixedTimeStep: null,
+        maxFixedSteps: 5,
+        accumulator: 0,
+        // Fraction of a fixed step left over, for interpolating rendering
+        alpha: 1,
+        animationFrameId: null,
         assets: {},
         input: {},
-        debugMode: false
+        debugMode: false,
+        // Design resolution the game draws in, device pixels per CSS pixel, and
+        // where the design area sits in the canvas ({ x, y, scaleX, scaleY } in
+        // canvas pixels)
+        width: 0,
+        height: 0,
+        pixelRatio: 1,
+        viewport: { x: 0, y: 0, scaleX: 1, scaleY: 1 },
+        // Set by initHeadless (no DOM, no input listeners, no audio)
+        headless: false
     };
     
     // Math utilities
@@ -67,544 +96,8496 @@ const Somvas = (function() {
             return Math.min(Math.max(value, min), max);
         },
         
-        // Generate a random number between min and max
-        random: function(min, max) {
-            return Math.random() * (max - min) + min;
+        // Source of random numbers in [0, 1) (Math.random unless seeded)
+        rng: Math.random,
+        
+        // Seed the random functions for reproducible runs (null restores Math.random)
+        seed: function(seed) {
+            if (seed === null || seed === undefined) {
+                this.rng = Math.random;
+                return;
+            }
+            // mulberry32
+            let state = seed >>> 0;
+            this.rng = function() {
+                state = (state + 0x6D2B79F5) >>> 0;
+                let t = state;
+                t = Math.imul(t ^ (t >>> 15), t | 1);
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            };
+        },
+        
+        // Generate a random number between min and max (0 and 1 by default)
+        random: function(min = 0, max = 1) {
+            return this.rng() * (max - min) + min;
+        },
+        
+        // Generate a random integer between min and max
+        randomInt: function(min, max) {
+            return Math.floor(this.rng() * (max - min + 1)) + min;
+        },
+        
+        // Intersection point of segments a1-a2 and b1-b2 (null if they don't cross)
+        segmentIntersection: function(a1, a2, b1, b2) {
+            const rX = a2.x - a1.x;
+            const rY = a2.y - a1.y;
+            const sX = b2.x - b1.x;
+            const sY = b2.y - b1.y;
+            const denominator = rX * sY - rY * sX;
+            if (denominator === 0) return null;
+            
+            const t = ((b1.x - a1.x) * sY - (b1.y - a1.y) * sX) / denominator;
+            const u = ((b1.x - a1.x) * rY - (b1.y - a1.y) * rX) / denominator;
+            if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+            return new Vector2(a1.x + rX * t, a1.y + rY * t);
+        },
+        
+        // Where a ray (unit direction) enters a circle: { point, normal, distance }
+        // or null (rays starting inside the circle don't hit it)
+        rayCircle: function(origin, direction, center, radius, maxDistance = Infinity) {
+            const offsetX = origin.x - center.x;
+            const offsetY = origin.y - center.y;
+            const c = offsetX * offsetX + offsetY * offsetY - radius * radius;
+            if (c <= 0) return null;
+            
+            const b = offsetX * direction.x + offsetY * direction.y;
+            const discriminant = b * b - c;
+            if (b > 0 || discriminant < 0) return null;
+            
+            const distance = -b - Math.sqrt(discriminant);
+            if (distance > maxDistance) return null;
+            const point = new Vector2(origin.x + direction.x * distance, origin.y + direction.y * distance);
+            return {
+                point: point,
+                normal: new Vector2((point.x - center.x) / radius, (point.y - center.y) / radius),
+                distance: distance
+            };
+        },
+        
+        // Where a ray (unit direction) enters a polygon: { point, normal, distance }
+        // or null (rays starting inside the polygon don't hit it)
+        rayPolygon: function(origin, direction, vertices, maxDistance = Infinity) {
+            if (pointInPolygon(origin.x, origin.y, vertices)) return null;
+            
+            let best = null;
+            for (let i = 0; i < vertices.length; i++) {
+                const a = vertices[i];
+                const b = vertices[(i + 1) % vertices.length];
+                const edgeX = b.x - a.x;
+                const edgeY = b.y - a.y;
+                const denominator = direction.x * edgeY - direction.y * edgeX;
+                if (denominator === 0) continue;
+                
+                const distance = ((a.x - origin.x) * edgeY - (a.y - origin.y) * edgeX) / denominator;
+                const along = ((a.x - origin.x) * direction.y - (a.y - origin.y) * direction.x) / denominator;
+                if (distance < 0 || distance > maxDistance || along < 0 || along > 1) continue;
+                if (best && distance >= best.distance) continue;
+                
+                // Edge normal facing the ray
+                const length = Math.sqrt(edgeX * edgeX + edgeY * edgeY);
+                let normal = new Vector2(-edgeY / length, edgeX / length);
+                if (normal.dot(direction) > 0) {
+                    normal = normal.negate();
+                }
+                best = {
+                    point: new Vector2(origin.x + direction.x * distance, origin.y + direction.y * distance),
+                    normal: normal,
+                    distance: distance
+                };
+            }
+            return best;
+        },
+        
+        // Where a ray (unit direction) enters a rectangle ({ x, y, width, height })
+        rayRect: function(origin, direction, rect, maxDistance = Infinity) {
+            return this.rayPolygon(origin, direction, [
+                { x: rect.x, y: rect.y },
+                { x: rect.x + rect.width, y: rect.y },
+                { x: rect.x + rect.width, y: rect.y + rect.height },
+                { x: rect.x, y: rect.y + rect.height }
+            ], maxDistance);
+        }
+    };
+    
+    // 2D vector. Methods return new vectors (except set); any { x, y } object
+    // works as an argument.
+    class Vector2 {
+        constructor(x = 0, y = 0) {
+            this.x = x;
+            this.y = y;
+        }
+        
+        // Vector from any { x, y } object
+        static from(point) {
+            return new Vector2(point.x, point.y);
+        }
+        
+        // Vector pointing at an angle (radians)
+        static fromAngle(angle, length = 1) {
+            return new Vector2(Math.cos(angle) * length, Math.sin(angle) * length);
+        }
+        
+        clone() {
+            return new Vector2(this.x, this.y);
+        }
+        
+        // Change this vector in place
+        set(x, y) {
+            this.x = x;
+            this.y = y;
+            return this;
+        }
+        
+        add(other) {
+            return new Vector2(this.x + other.x, this.y + other.y);
+        }
+        
+        subtract(other) {
+            return new Vector2(this.x - other.x, this.y - other.y);
+        }
+        
+        scale(factor) {
+            return new Vector2(this.x * factor, this.y * factor);
+        }
+        
+        negate() {
+            return new Vector2(-this.x, -this.y);
+        }
+        
+        dot(other) {
+            return this.x * other.x + this.y * other.y;
+        }
+        
+        // Z component of the 3D cross product (positive when other is clockwise
+        // from this on screen, where y points down)
+        cross(other) {
+            return this.x * other.y - this.y * other.x;
+        }
+        
+        length() {
+            return Math.sqrt(this.x * this.x + this.y * this.y);
+        }
+        
+        lengthSquared() {
+            return this.x * this.x + this.y * this.y;
+        }
+        
+        // Unit vector in the same direction (the zero vector stays zero)
+        normalize() {
+            const length = this.length();
+            return length > 0 ? new Vector2(this.x / length, this.y / length) : new Vector2();
+        }
+        
+        distanceTo(other) {
+            return MathUtils.distance(this.x, this.y, other.x, other.y);
+        }
+        
+        // Angle of the vector in radians
+        angle() {
+            return Math.atan2(this.y, this.x);
+        }
+        
+        // Rotate by an angle in radians
+        rotate(angle) {
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            return new Vector2(this.x * cos - this.y * sin, this.x * sin + this.y * cos);
+        }
+        
+        // Vector rotated a quarter turn
+        perpendicular() {
+            return new Vector2(-this.y, this.x);
+        }
+        
+        lerp(other, t) {
+            return new Vector2(MathUtils.lerp(this.x, other.x, t), MathUtils.lerp(this.y, other.y, t));
+        }
+        
+        equals(other, epsilon = 1e-9) {
+            return Math.abs(this.x - other.x) <= epsilon && Math.abs(this.y - other.y) <= epsilon;
+        }
+    }
+    
+    // 2D affine transform in the canvas layout: x' = a * x + c * y + e and
+    // y' = b * x + d * y + f. Methods return new matrices.
+    class Matrix2D {
+        constructor(a = 1, b = 0, c = 0, d = 1, e = 0, f = 0) {
+            this.a = a;
+            this.b = b;
+            this.c = c;
+            this.d = d;
+            this.e = e;
+            this.f = f;
+        }
+        
+        static identity() {
+            return new Matrix2D();
+        }
+        
+        static translation(x, y) {
+            return new Matrix2D(1, 0, 0, 1, x, y);
+        }
+        
+        static rotation(angle) {
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            return new Matrix2D(cos, sin, -sin, cos, 0, 0);
+        }
+        
+        static scaling(scaleX, scaleY = scaleX) {
+            return new Matrix2D(scaleX, 0, 0, scaleY, 0, 0);
+        }
+        
+        // Translate, rotate, then scale (the order GameObject.draw uses)
+        static fromTransform(x, y, rotation = 0, scaleX = 1, scaleY = 1) {
+            const cos = Math.cos(rotation);
+            const sin = Math.sin(rotation);
+            return new Matrix2D(cos * scaleX, sin * scaleX, -sin * scaleY, cos * scaleY, x, y);
+        }
+        
+        clone() {
+            return new Matrix2D(this.a, this.b, this.c, this.d, this.e, this.f);
+        }
+        
+        // This matrix times another (the other transform is applied first)
+        multiply(other) {
+            return new Matrix2D(
+                this.a * other.a + this.c * other.b,
+                this.b * other.a + this.d * other.b,
+                this.a * other.c + this.c * other.d,
+                this.b * other.c + this.d * other.d,
+                this.a * other.e + this.c * other.f + this.e,
+                this.b * other.e + this.d * other.f + this.f
+            );
+        }
+        
+        // Canvas-style helpers: append a translation, rotation or scale
+        translate(x, y) {
+            return this.multiply(Matrix2D.translation(x, y));
+        }
+        
+        rotate(angle) {
+            return this.multiply(Matrix2D.rotation(angle));
+        }
+        
+        scale(scaleX, scaleY = scaleX) {
+            return this.multiply(Matrix2D.scaling(scaleX, scaleY));
+        }
+        
+        determinant() {
+            return this.a * this.d - this.b * this.c;
+        }
+        
+        // Inverse transform (null if the matrix can't be inverted)
+        invert() {
+            const determinant = this.determinant();
+            if (determinant === 0) return null;
+            return new Matrix2D(
+                this.d / determinant,
+                -this.b / determinant,
+                -this.c / determinant,
+                this.a / determinant,
+                (this.c * this.f - this.d * this.e) / determinant,
+                (this.b * this.e - this.a * this.f) / determinant
+            );
+        }
+        
+        // Transform a point
+        transformPoint(point) {
+            return new Vector2(
+                this.a * point.x + this.c * point.y + this.e,
+                this.b * point.x + this.d * point.y + this.f
+            );
+        }
+        
+        // Transform a direction (ignores the translation)
+        transformVector(vector) {
+            return new Vector2(this.a * vector.x + this.c * vector.y, this.b * vector.x + this.d * vector.y);
+        }
+        
+        // Multiply a canvas context's transform by this matrix
+        applyTo(ctx) {
+            ctx.transform(this.a, this.b, this.c, this.d, this.e, this.f);
+        }
+    }
+    
+    // A playing sound (returned by Audio.play)
+    class SoundHandle {
+        constructor(manager, name, buffer, options) {
+            this.manager = manager;
+            this.name = name;
+            this.buffer = buffer;
+            this.bus = options.bus || 'sfx';
+            this.volume = options.volume !== undefined ? options.volume : 1;
+            this.pitch = options.pitch || 1;
+            this.loop = options.loop || false;
+            this.pan = options.pan || 0;
+            // Pan automatically from this object's position on screen
+            this.gameObject = options.gameObject || null;
+            this.onEnded = options.onEnded || null;
+            this.playing = false;
+            this.paused = false;
+            this.offset = options.offset || 0;
+            this.startedAt = 0;
+            this.source = null;
+            
+            const context = manager.context;
+            this.gain = context.createGain();
+            this.gain.gain.value = this.volume;
+            this.panner = context.createStereoPanner ? context.createStereoPanner() : null;
+            if (this.panner) {
+                this.panner.pan.value = this.pan;
+                this.gain.connect(this.panner);
+                this.panner.connect(manager.buses[this.bus].gain);
+            } else {
+                this.gain.connect(manager.buses[this.bus].gain);
+            }
+        }
+        
+        // Start (or restart) the buffer source from the stored offset
+        start() {
+            const context = this.manager.context;
+            const source = context.createBufferSource();
+            source.buffer = this.buffer;
+            source.loop = this.loop;
+            source.playbackRate.value = this.pitch;
+            source.connect(this.gain);
+            source.onended = () => {
+                if (this.source !== source || this.paused) return;
+                this.playing = false;
+                this.manager.release(this);
+                if (this.onEnded) {
+                    this.onEnded(this);
+                }
+            };
+            
+            source.start(0, this.offset % this.buffer.duration);
+            this.source = source;
+            this.startedAt = context.currentTime - this.offset / this.pitch;
+            this.playing = true;
+            this.paused = false;
+            return this;
+        }
+        
+        // Stop playing (optionally fading out over fadeTime seconds)
+        stop(fadeTime = 0) {
+            // Paused handles have no source but still hold a voice
+            if (!this.source) {
+                this.paused = false;
+                this.manager.release(this);
+                return this;
+            }
+            const source = this.source;
+            const context = this.manager.context;
+            this.playing = false;
+            this.paused = false;
+            
+            if (fadeTime > 0) {
+                this.fadeTo(0, fadeTime);
+                source.stop(context.currentTime + fadeTime);
+            } else {
+                source.stop();
+            }
+            this.source = null;
+            this.manager.release(this);
+            return this;
+        }
+        
+        // Pause, keeping the position for resume()
+        pause() {
+            if (!this.playing) return this;
+            const context = this.manager.context;
+            this.offset = (context.currentTime - this.startedAt) * this.pitch;
+            this.paused = true;
+            this.playing = false;
+            this.source.stop();
+            this.source = null;
+            return this;
+        }
+        
+        // Continue after pause()
+        resume() {
+            if (this.paused) {
+                this.start();
+            }
+            return this;
+        }
+        
+        // Set the volume (optionally fading over fadeTime seconds)
+        setVolume(volume, fadeTime = 0) {
+            this.volume = volume;
+            if (fadeTime > 0) {
+                this.fadeTo(volume, fadeTime);
+            } else {
+                this.gain.gain.value = volume;
+            }
+            return this;
+        }
+        
+        // Ramp the gain to a value
+        fadeTo(volume, fadeTime) {
+            const now = this.manager.context.currentTime;
+            const gain = this.gain.gain;
+            gain.cancelScheduledValues(now);
+            gain.setValueAtTime(gain.value, now);
+            gain.linearRampToValueAtTime(volume, now + fadeTime);
+            return this;
+        }
+        
+        // Set the playback rate (1 = normal, 2 = an octave up)
+        setPitch(pitch) {
+            this.pitch = pitch;
+            if (this.source) {
+                this.source.playbackRate.value = pitch;
+            }
+            return this;
+        }
+        
+        // Set the stereo pan (-1 left to 1 right)
+        setPan(pan) {
+            this.pan = MathUtils.clamp(pan, -1, 1);
+            if (this.panner) {
+                this.panner.pan.value = this.pan;
+            }
+            return this;
+        }
+    }
+    
+    // A sound played with an HTMLAudioElement (browsers without Web Audio). Same
+    // interface as SoundHandle, but fades are instant and pan is ignored.
+    class MediaSoundHandle {
+        constructor(manager, name, element, options) {
+            this.manager = manager;
+            this.name = name;
+            this.element = element.cloneNode();
+            this.bus = options.bus || 'sfx';
+            this.volume = options.volume !== undefined ? options.volume : 1;
+            this.pitch = options.pitch || 1;
+            this.loop = options.loop || false;
+            this.pan = options.pan || 0;
+            this.gameObject = options.gameObject || null;
+            this.onEnded = options.onEnded || null;
+            this.playing = false;
+            this.paused = false;
+            this.offset = options.offset || 0;
+            
+            this.element.onended = () => {
+                if (!this.playing) return;
+                this.playing = false;
+                this.manager.release(this);
+                if (this.onEnded) {
+                    this.onEnded(this);
+                }
+            };
+        }
+        
+        // Start (or restart) from the stored offset
+        start() {
+            const element = this.element;
+            element.loop = this.loop;
+            element.playbackRate = this.pitch;
+            element.currentTime = this.offset;
+            this.applyVolume(this.volume);
+            this.playing = true;
+            this.paused = false;
+            
+            // play() rejects when autoplay is blocked; the sound just doesn't play
+            const result = element.play();
+            if (result && result.catch) {
+                result.catch(() => {
+                    if (this.playing) {
+                        this.playing = false;
+                        this.manager.release(this);
+                    }
+                });
+            }
+            return this;
+        }
+        
+        stop() {
+            this.element.pause();
+            this.playing = false;
+            this.paused = false;
+            this.offset = 0;
+            this.manager.release(this);
+            return this;
+        }
+        
+        pause() {
+            if (!this.playing) return this;
+            this.offset = this.element.currentTime;
+            this.element.pause();
+            this.paused = true;
+            this.playing = false;
+            return this;
+        }
+        
+        resume() {
+            if (this.paused) {
+                this.start();
+            }
+            return this;
+        }
+        
+        setVolume(volume) {
+            this.volume = volume;
+            this.applyVolume(volume);
+            return this;
+        }
+        
+        fadeTo(volume) {
+            this.applyVolume(volume);
+            return this;
+        }
+        
+        // Element volume from the sound's volume and its bus
+        applyVolume(volume) {
+            this.element.volume = MathUtils.clamp(volume * this.manager.getEffectiveVolume(this.bus), 0, 1);
+        }
+        
+        setPitch(pitch) {
+            this.pitch = pitch;
+            this.element.playbackRate = pitch;
+            return this;
+        }
+        
+        setPan(pan) {
+            this.pan = MathUtils.clamp(pan, -1, 1);
+            return this;
+        }
+    }
+    
+    // Audio subsystem (Web Audio buffers, master/music/sfx buses and music crossfades)
+    const AudioManager = {
+        context: null,
+        buses: {},
+        music: null,
+        // Most simultaneous voices of one sound; the oldest is stopped beyond this
+        maxVoices: 8,
+        voices: {},
+        unlocked: false,
+        
+        // Check whether the Web Audio API is available
+        isSupported: function() {
+            return typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+        },
+        
+        // Create the audio context and buses (safe to call more than once)
+        init: function() {
+            if (this.context || !this.isSupported()) return this.context;
+            
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.context = new AudioContextClass();
+            
+            const master = this.createBus(this.context.destination);
+            this.buses = {
+                master: master,
+                music: this.createBus(master.gain),
+                sfx: this.createBus(master.gain)
+            };
+            
+            this.unlock();
+            return this.context;
+        },
+        
+        // Create a bus (gain node) connected to a destination node
+        createBus: function(destination) {
+            const gain = this.context.createGain();
+            gain.connect(destination);
+            return { gain: gain, volume: 1, muted: false };
+        },
+        
+        // Resume the (suspended) context on the first user gesture
+        unlock: function() {
+            const events = ['pointerdown', 'touchstart', 'touchend', 'mousedown', 'keydown'];
+            const handler = () => {
+                this.context.resume().then(() => {
+                    this.unlocked = true;
+                    events.forEach(event => window.removeEventListener(event, handler, true));
+                });
+            };
+            
+            if (this.context.state === 'running') {
+                this.unlocked = true;
+                return;
+            }
+            events.forEach(event => window.addEventListener(event, handler, true));
+        },
+        
+        // Decode encoded audio data into an AudioBuffer
+        decode: function(arrayBuffer) {
+            const context = this.init();
+            return new Promise((resolve, reject) => {
+                // Callback form for older Safari, which doesn't return a promise
+                const result = context.decodeAudioData(arrayBuffer, resolve, reject);
+                if (result && result.then) {
+                    result.then(resolve, reject);
+                }
+            });
+        },
+        
+        // Play a loaded sound by asset name. Options: volume, pitch, loop, pan,
+        // bus ('sfx' or 'music'), offset, gameObject (auto-pan) and onEnded
+        play: function(name, options = {}) {
+            const asset = AssetLoader.get(name);
+            if (!asset) {
+                throw new Error(`Sound '${name}' not loaded`);
+            }
+            
+            // Voice limit: stop the oldest voice of this sound
+            const voices = this.voices[name] || (this.voices[name] = []);
+            if (voices.length >= this.maxVoices) {
+                voices[0].stop();
+            }
+            
+            // Fallback for browsers without Web Audio (HTMLAudioElement assets)
+            const webAudio = this.context && typeof AudioBuffer !== 'undefined' && asset instanceof AudioBuffer;
+            const handle = webAudio ? new SoundHandle(this, name, asset, options) : new MediaSoundHandle(this, name, asset, options);
+            voices.push(handle);
+            if (handle.gameObject) {
+                this.updatePan(handle);
+            }
+            return handle.start();
+        },
+        
+        // Forget a voice that finished or was stopped
+        release: function(handle) {
+            const voices = this.voices[handle.name];
+            if (!voices) return;
+            const index = voices.indexOf(handle);
+            if (index !== -1) {
+                voices.splice(index, 1);
+            }
+        },
+        
+        // Play a music track on the music bus, crossfading from the current one
+        playMusic: function(name, options = {}) {
+            const fadeTime = options.fadeTime !== undefined ? options.fadeTime : 1;
+            const volume = options.volume !== undefined ? options.volume : 1;
+            
+            if (this.music && this.music.name === name && this.music.playing) {
+                return this.music;
+            }
+            this.stopMusic(fadeTime);
+            
+            const handle = this.play(name, {
+                bus: 'music',
+                loop: options.loop !== undefined ? options.loop : true,
+                volume: fadeTime > 0 ? 0 : volume
+            });
+            if (fadeTime > 0) {
+                handle.setVolume(volume, fadeTime);
+            }
+            this.music = handle;
+            return handle;
+        },
+        
+        // Stop the current music track (optionally fading out)
+        stopMusic: function(fadeTime = 0) {
+            if (this.music) {
+                this.music.stop(fadeTime);
+                this.music = null;
+            }
+        },
+        
+        // Stop every playing sound
+        stopAll: function() {
+            for (const name in this.voices) {
+                for (const handle of this.voices[name].slice()) {
+                    handle.stop();
+                }
+            }
+            this.music = null;
+        },
+        
+        // Set the volume of a bus ('master', 'music' or 'sfx')
+        setVolume: function(bus, volume) {
+            const target = this.buses[bus];
+            if (target) {
+                target.volume = volume;
+                target.gain.gain.value = target.muted ? 0 : volume;
+            }
+        },
+        
+        // Get the volume of a bus
+        getVolume: function(bus) {
+            return this.buses[bus] ? this.buses[bus].volume : 1;
+        },
+        
+        // Bus volume including the master bus and mute state
+        getEffectiveVolume: function(bus) {
+            const master = this.buses.master;
+            const target = this.buses[bus];
+            if (!master || !target) return 1;
+            if (master.muted || target.muted) return 0;
+            return master.volume * (bus === 'master' ? 1 : target.volume);
+        },
+        
+        // Mute or unmute a bus
+        setMuted: function(bus, muted) {
+            const target = this.buses[bus];
+            if (target) {
+                target.muted = muted;
+                target.gain.gain.value = muted ? 0 : target.volume;
+            }
+        },
+        
+        mute: function(bus = 'master') {
+            this.setMuted(bus, true);
+        },
+        
+        unmute: function(bus = 'master') {
+            this.setMuted(bus, false);
+        },
+        
+        // Check whether a bus is muted
+        isMuted: function(bus = 'master') {
+            return this.buses[bus] ? this.buses[bus].muted : false;
+        },
+        
+        // Pan a sound by its game object's horizontal position on screen
+        updatePan: function(handle) {
+            const scene = handle.gameObject.scene;
+            if (!scene || !somvas.canvas) return;
+            const position = handle.gameObject.getWorldPosition();
+            const screen = handle.gameObject.getRoot().screenSpace ?
+                position : scene.camera.worldToScreen(position.x, position.y);
+            const halfWidth = somvas.width / 2;
+            handle.setPan((screen.x - halfWidth) / halfWidth);
+        },
+        
+        // Update positional panning (called by the game loop)
+        update: function() {
+            for (const name in this.voices) {
+                for (const handle of this.voices[name]) {
+                    if (handle.gameObject && handle.playing) {
+                        this.updatePan(handle);
+                    }
+                }
+            }
+        }
+    };
+    
+    // Error raised when an asset can't be loaded
+    class AssetLoadError extends Error {
+        constructor(assetName, src, type, cause) {
+            const reason = cause && cause.message ? cause.message : String(cause);
+            super(`Failed to load ${type} '${assetName}' from ${src}: ${reason}`);
+            this.name = 'AssetLoadError';
+            this.assetName = assetName;
+            this.src = src;
+            this.type = type;
+            this.cause = cause;
+        }
+    }
+    
+    // Request a file with XMLHttpRequest (for byte progress and timeouts).
+    // responseType is 'text', 'json' or 'arraybuffer'.
+    function request(src, responseType, options = {}) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('GET', src);
+            xhr.responseType = responseType === 'json' ? 'text' : responseType;
+            xhr.timeout = options.timeout || 0;
+            
+            xhr.onprogress = (e) => {
+                if (options.onProgress) {
+                    options.onProgress(e.loaded, e.lengthComputable ? e.total : 0);
+                }
+            };
+            xhr.onload = () => {
+                // Status 0 is used by file:// and some webviews
+                if ((xhr.status >= 200 && xhr.status < 300) || (xhr.status === 0 && xhr.response)) {
+                    try {
+                        resolve(responseType === 'json' ? JSON.parse(xhr.response) : xhr.response);
+                    } catch (error) {
+                        reject(error);
+                    }
+                } else {
+                    reject(new Error(`HTTP ${xhr.status}`));
+                }
+            };
+            xhr.onerror = () => reject(new Error('Network error'));
+            xhr.ontimeout = () => reject(new Error(`Timed out after ${xhr.timeout}ms`));
+            xhr.send();
+        });
+    }
+    
+    // Directory part of a URL (with trailing slash)
+    function basePath(src) {
+        return src.substring(0, src.lastIndexOf('/') + 1);
+    }
+    
+    // Manifest sections and the asset type of their entries
+    const MANIFEST_TYPES = {
+        images: 'image',
+        audio: 'audio',
+        json: 'json',
+        text: 'text',
+        fonts: 'font',
+        atlases: 'atlas',
+        tilemaps: 'tilemap'
+    };
+    
+    // Easing functions (t from 0 to 1)
+    const Easing = {
+        linear: t => t,
+        easeInQuad: t => t * t,
+        easeOutQuad: t => t * (2 - t),
+        easeInOutQuad: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+        easeInCubic: t => t * t * t,
+        easeOutCubic: t => (--t) * t * t + 1,
+        easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1,
+        easeInQuart: t => t * t * t * t,
+        easeOutQuart: t => 1 - (--t) * t * t * t,
+        easeInOutQuart: t => t < 0.5 ? 8 * t * t * t * t : 1 - 8 * (--t) * t * t * t,
+        easeInQuint: t => t * t * t * t * t,
+        easeOutQuint: t => 1 + (--t) * t * t * t * t,
+        easeInOutQuint: t => t < 0.5 ? 16 * t * t * t * t * t : 1 + 16 * (--t) * t * t * t * t,
+        easeInSine: t => 1 - Math.cos(t * Math.PI / 2),
+        easeOutSine: t => Math.sin(t * Math.PI / 2),
+        easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+        easeInExpo: t => t === 0 ? 0 : Math.pow(2, 10 * t - 10),
+        easeOutExpo: t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
+        easeInOutExpo: t => {
+            if (t === 0 || t === 1) return t;
+            return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+        },
+        easeInCirc: t => 1 - Math.sqrt(1 - t * t),
+        easeOutCirc: t => Math.sqrt(1 - (t - 1) * (t - 1)),
+        easeInOutCirc: t => t < 0.5 ?
+            (1 - Math.sqrt(1 - 4 * t * t)) / 2 :
+            (Math.sqrt(1 - Math.pow(-2 * t + 2, 2)) + 1) / 2,
+        easeInBack: t => 2.70158 * t * t * t - 1.70158 * t * t,
+        easeOutBack: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+        easeInOutBack: t => {
+            const c = 1.70158 * 1.525;
+            return t < 0.5 ?
+                (Math.pow(2 * t, 2) * ((c + 1) * 2 * t - c)) / 2 :
+                (Math.pow(2 * t - 2, 2) * ((c + 1) * (t * 2 - 2) + c) + 2) / 2;
+        },
+        easeInElastic: t => {
+            if (t === 0 || t === 1) return t;
+            return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * (2 * Math.PI) / 3);
+        },
+        easeOutElastic: t => {
+            if (t === 0 || t === 1) return t;
+            return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI) / 3) + 1;
+        },
+        easeInOutElastic: t => {
+            if (t === 0 || t === 1) return t;
+            const c = (2 * Math.PI) / 4.5;
+            return t < 0.5 ?
+                -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * c)) / 2 :
+                (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * c)) / 2 + 1;
+        },
+        easeOutBounce: t => {
+            if (t < 1 / 2.75) return 7.5625 * t * t;
+            if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+            if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+            return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+        },
+        easeInBounce: t => 1 - Easing.easeOutBounce(1 - t),
+        easeInOutBounce: t => t < 0.5 ?
+            (1 - Easing.easeOutBounce(1 - 2 * t)) / 2 :
+            (1 + Easing.easeOutBounce(2 * t - 1)) / 2
+    };
+    
+    // Asset loader
+    const AssetLoader = {
+        // Default request timeout (milliseconds, 0 for none) and retry count
+        timeout: 30000,
+        retries: 2,
+        
+        // Named groups of asset names (for unloading a level's assets at once)
+        groups: {},
+        
+        // Run a load function with retries, wrap failures in AssetLoadError
+        // and store the result
+        attempt: function(type, name, src, options, load) {
+            return this.withRetries(load, this.getRetries(options)).catch(error => {
+                throw error instanceof AssetLoadError ? error : new AssetLoadError(name, src, type, error);
+            }).then(asset => {
+                this.store(name, asset, options.group);
+                somvas.emit('assetLoaded', { name: name, type: type, asset: asset });
+                return asset;
+            }, error => {
+                somvas.emit('assetError', { name: name, type: type, error: error });
+                throw error;
+            });
+        },
+        
+        // Run load, trying again after a short wait when it fails
+        withRetries: function(load, retries) {
+            const run = (attemptsLeft) => load().catch(error => {
+                if (attemptsLeft > 0) {
+                    return new Promise(resolve => setTimeout(resolve, 250)).then(() => run(attemptsLeft - 1));
+                }
+                throw error;
+            });
+            return run(retries);
+        },
+        
+        // Retries for a load call
+        getRetries: function(options) {
+            return options.retries !== undefined ? options.retries : this.retries;
+        },
+        
+        // Options for the files of a multi-file asset (atlas, tilemap). Each call
+        // returns options for one more file; options.onProgress gets the bytes
+        // summed over all of them.
+        fileProgress: function(options) {
+            const files = [];
+            return () => {
+                const file = { loaded: 0, total: 0 };
+                files.push(file);
+                return Object.assign({}, options, {
+                    onProgress: (bytesLoaded, bytesTotal) => {
+                        file.loaded = bytesLoaded;
+                        file.total = bytesTotal;
+                        if (options.onProgress) {
+                            options.onProgress(
+                                files.reduce((sum, entry) => sum + entry.loaded, 0),
+                                files.reduce((sum, entry) => sum + entry.total, 0)
+                            );
+                        }
+                    }
+                });
+            };
+        },
+        
+        // Store an asset and add it to a group
+        store: function(name, asset, group) {
+            somvas.assets[name] = asset;
+            if (group) {
+                (this.groups[group] || (this.groups[group] = new Set())).add(name);
+            }
+        },
+        
+        // Request options (timeout and byte progress) for a load call
+        requestOptions: function(options) {
+            return {
+                timeout: options.timeout !== undefined ? options.timeout : this.timeout,
+                onProgress: options.onProgress
+            };
+        },
+        
+        // Load an image
+        loadImage: function(name, src, options = {}) {
+            const timeout = this.requestOptions(options).timeout;
+            return this.attempt('image', name, src, options, () => new Promise((resolve, reject) => {
+                const img = new Image();
+                const timer = timeout ? setTimeout(() => {
+                    img.src = '';
+                    reject(new Error(`Timed out after ${timeout}ms`));
+                }, timeout) : null;
+                img.onload = () => {
+                    clearTimeout(timer);
+                    resolve(img);
+                };
+                img.onerror = () => {
+                    clearTimeout(timer);
+                    reject(new Error('Image could not be loaded'));
+                };
+                img.src = src;
+            }));
+        },
+        
+        // Load multiple images
+        loadImages: function(images, options = {}) {
+            const promises = [];
+            for (const name in images) {
+                promises.push(this.loadImage(name, images[name], options));
+            }
+            return Promise.all(promises);
+        },
+        
+        // Load audio (decoded into an AudioBuffer when Web Audio is available,
+        // otherwise an HTMLAudioElement)
+        loadAudio: function(name, src, options = {}) {
+            if (AudioManager.isSupported()) {
+                return this.attempt('audio', name, src, options, () =>
+                    request(src, 'arraybuffer', this.requestOptions(options)).then(data => AudioManager.decode(data))
+                );
+            }
+            
+            const timeout = this.requestOptions(options).timeout;
+            return this.attempt('audio', name, src, options, () => new Promise((resolve, reject) => {
+                const audio = new Audio();
+                const timer = timeout ? setTimeout(() => {
+                    reject(new Error(`Timed out after ${timeout}ms`));
+                }, timeout) : null;
+                audio.addEventListener('canplaythrough', () => {
+                    clearTimeout(timer);
+                    resolve(audio);
+                }, { once: true });
+                audio.onerror = () => {
+                    clearTimeout(timer);
+                    reject(new Error('Audio could not be loaded'));
+                };
+                audio.src = src;
+            }));
+        },
+        
+        // Load multiple audio files
+        loadAudios: function(audios, options = {}) {
+            const promises = [];
+            for (const name in audios) {
+                promises.push(this.loadAudio(name, audios[name], options));
+            }
+            return Promise.all(promises);
+        },
+        
+        // Load and parse a JSON file
+        loadJSON: function(name, src, options = {}) {
+            return this.attempt('json', name, src, options, () =>
+                request(src, 'json', this.requestOptions(options))
+            );
+        },
+        
+        // Load a text file
+        loadText: function(name, src, options = {}) {
+            return this.attempt('text', name, src, options, () =>
+                request(src, 'text', this.requestOptions(options))
+            );
+        },
+        
+        // Load a web font and add it to the document (options.family defaults
+        // to the asset name, options.descriptors are FontFace descriptors)
+        loadFont: function(name, src, options = {}) {
+            return this.attempt('font', name, src, options, () =>
+                request(src, 'arraybuffer', this.requestOptions(options)).then(data => {
+                    const font = new FontFace(options.family || name, data, options.descriptors || {});
+                    return font.load();
+                }).then(font => {
+                    document.fonts.add(font);
+                    return font;
+                })
+            );
+        },
+        
+        // Load an image and its atlas JSON (TexturePacker/Aseprite) as a SpriteSheet
+        // (each file retries on its own, so the atlas as a whole doesn't)
+        loadAtlas: function(name, imageSrc, jsonSrc, options = {}) {
+            const fileOptions = this.fileProgress(options);
+            return this.attempt('atlas', name, jsonSrc, Object.assign({}, options, { retries: 0 }), () =>
+                Promise.all([
+                    this.loadImage(name + ':image', imageSrc, fileOptions()),
+                    this.loadJSON(name + ':data', jsonSrc, fileOptions())
+                ]).then(([image, data]) => SpriteSheet.fromAtlas(image, data))
+            );
+        },
+        
+        // Load a Tiled map (.tmj/.json) with its external tilesets and images as a Tilemap
+        // (each file retries on its own, so the map as a whole doesn't)
+        loadTilemap: function(name, src, options = {}) {
+            const mapPath = basePath(src);
+            const fileOptions = this.fileProgress(options);
+            const retries = this.getRetries(options);
+            const requestJSON = (url) => {
+                const requestOptions = this.requestOptions(fileOptions());
+                return this.withRetries(() => request(url, 'json', requestOptions), retries);
+            };
+            let mapData;
+            
+            return this.attempt('tilemap', name, src, Object.assign({}, options, { retries: 0 }), () => requestJSON(src).then(data => {
+                mapData = data;
+                // Merge external tilesets (.tsj) into the map data
+                return Promise.all(data.tilesets.map(tileset => {
+                    if (!tileset.source) {
+                        return Object.assign({ path: mapPath }, tileset);
+                    }
+                    const tilesetSrc = mapPath + tileset.source;
+                    return requestJSON(tilesetSrc).then(external =>
+                        Object.assign({ path: basePath(tilesetSrc) }, external, { firstgid: tileset.firstgid })
+                    );
+                }));
+            }).then(tilesets => {
+                mapData = Object.assign({}, mapData, { tilesets: tilesets });
+                return Promise.all(tilesets.map(tileset =>
+                    this.loadImage(`${name}:${tileset.name}`, tileset.path + tileset.image, fileOptions())
+                ));
+            }).then(loadedImages => {
+                const images = {};
+                mapData.tilesets.forEach((tileset, i) => {
+                    images[tileset.name] = loadedImages[i];
+                });
+                return Tilemap.fromTiled(mapData, images);
+            }));
+        },
+        
+        // Turn a manifest (object of sections or array of entries) into entries
+        // of the form { type, name, src, ... }
+        normalizeManifest: function(manifest) {
+            if (Array.isArray(manifest)) {
+                return manifest.map(entry => Object.assign({}, entry));
+            }
+            
+            const entries = [];
+            for (const section in manifest) {
+                const type = MANIFEST_TYPES[section];
+                if (!type) {
+                    throw new Error(`Unknown manifest section '${section}'`);
+                }
+                for (const name in manifest[section]) {
+                    const value = manifest[section][name];
+                    entries.push(Object.assign(
+                        { type: type, name: name },
+                        typeof value === 'string' ? { src: value } : value
+                    ));
+                }
+            }
+            return entries;
+        },
+        
+        // Load one manifest entry
+        loadEntry: function(entry, options) {
+            switch (entry.type) {
+                case 'image': return this.loadImage(entry.name, entry.src, options);
+                case 'audio': return this.loadAudio(entry.name, entry.src, options);
+                case 'json': return this.loadJSON(entry.name, entry.src, options);
+                case 'text': return this.loadText(entry.name, entry.src, options);
+                case 'font': return this.loadFont(entry.name, entry.src, Object.assign({}, options, {
+                    family: entry.family,
+                    descriptors: entry.descriptors
+                }));
+                case 'atlas': return this.loadAtlas(entry.name, entry.image, entry.data, options);
+                case 'tilemap': return this.loadTilemap(entry.name, entry.src, options);
+                default: return Promise.reject(new AssetLoadError(entry.name, entry.src, entry.type, new Error('Unknown asset type')));
+            }
+        },
+        
+        // Load every asset of a manifest. Options: onProgress({ loaded, total,
+        // bytesLoaded, bytesTotal, progress, name }), group, timeout, retries.
+        // Resolves with { name: asset }.
+        loadManifest: function(manifest, options = {}) {
+            const entries = this.normalizeManifest(manifest);
+            const fractions = entries.map(() => 0);
+            const bytes = entries.map(() => ({ loaded: 0, total: 0 }));
+            let loaded = 0;
+            
+            const report = (name) => {
+                if (!options.onProgress) return;
+                let bytesLoaded = 0;
+                let bytesTotal = 0;
+                for (const entryBytes of bytes) {
+                    bytesLoaded += entryBytes.loaded;
+                    bytesTotal += entryBytes.total;
+                }
+                const sum = fractions.reduce((total, fraction) => total + fraction, 0);
+                options.onProgress({
+                    loaded: loaded,
+                    total: entries.length,
+                    bytesLoaded: bytesLoaded,
+                    bytesTotal: bytesTotal,
+                    progress: entries.length > 0 ? sum / entries.length : 1,
+                    name: name
+                });
+            };
+            
+            const assets = {};
+            return Promise.all(entries.map((entry, i) => {
+                const entryOptions = {
+                    group: options.group,
+                    timeout: options.timeout,
+                    retries: options.retries,
+                    onProgress: (bytesLoaded, bytesTotal) => {
+                        bytes[i].loaded = bytesLoaded;
+                        bytes[i].total = bytesTotal;
+                        // Keep a little room so an item is only complete once it's processed
+                        fractions[i] = bytesTotal > 0 ? Math.min(bytesLoaded / bytesTotal, 1) * 0.99 : 0;
+                        report(entry.name);
+                    }
+                };
+                return this.loadEntry(entry, entryOptions).then(asset => {
+                    assets[entry.name] = asset;
+                    fractions[i] = 1;
+                    loaded++;
+                    report(entry.name);
+                    return asset;
+                });
+            })).then(() => assets);
+        },
+        
+        // Show a built-in loading scene with a progress bar while a manifest
+        // loads. Options: everything loadManifest takes, plus nextScene,
+        // background, barColor and textStyle.
+        showLoadingScene: function(manifest, options = {}) {
+            const scene = somvas.createScene(options.sceneName || 'loading');
+            scene.background = options.background || '#000';
+            
+            const centerX = somvas.width / 2;
+            const centerY = somvas.height / 2;
+            const barWidth = Math.min(somvas.width * 0.6, 400);
+            
+            const bar = new GameObject(centerX, centerY);
+            bar.screenSpace = true;
+            const loadingBar = new LoadingBar(barWidth, 12, options.barColor || '#fff');
+            bar.addComponent(loadingBar);
+            scene.add(bar);
+            
+            const label = new GameObject(centerX, centerY + 30);
+            label.screenSpace = true;
+            const text = new Text('0%', options.textStyle);
+            label.addComponent(text);
+            scene.add(label);
+            
+            somvas.setScene(scene.name);
+            
+            return this.loadManifest(manifest, Object.assign({}, options, {
+                onProgress: (progress) => {
+                    loadingBar.progress = progress.progress;
+                    text.text = Math.round(progress.progress * 100) + '%';
+                    if (options.onProgress) {
+                        options.onProgress(progress);
+                    }
+                }
+            })).then(assets => {
+                if (options.nextScene) {
+                    somvas.setScene(options.nextScene);
+                }
+                return assets;
+            });
+        },
+        
+        // Release a loaded asset
+        unload: function(name) {
+            const asset = somvas.assets[name];
+            if (asset === undefined) return false;
+            
+            if (typeof Image !== 'undefined' && asset instanceof Image) {
+                asset.src = '';
+            } else if (typeof FontFace !== 'undefined' && asset instanceof FontFace) {
+                document.fonts.delete(asset);
+            }
+            delete somvas.assets[name];
+            for (const group in this.groups) {
+                this.groups[group].delete(name);
+            }
+            return true;
+        },
+        
+        // Release every asset loaded into a group
+        unloadGroup: function(group) {
+            const names = this.groups[group];
+            if (!names) return;
+            for (const name of Array.from(names)) {
+                this.unload(name);
+            }
+            delete this.groups[group];
+        },
+        
+        // Get the names of the assets in a group
+        getGroup: function(group) {
+            return this.groups[group] ? Array.from(this.groups[group]) : [];
+        },
+        
+        // Check whether an asset is loaded
+        has: function(name) {
+            return somvas.assets[name] !== undefined;
+        },
+        
+        // Get a loaded asset
+        get: function(name) {
+            return somvas.assets[name];
+        }
+    };
+    
+    // Progress bar drawn by the built-in loading scene
+    class LoadingBar {
+        constructor(width, height, color) {
+            this.serializable = false;
+            this.width = width;
+            this.height = height;
+            this.color = color;
+            this.progress = 0;
+        }
+        
+        draw(ctx) {
+            ctx.strokeStyle = this.color;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(-this.width / 2, -this.height / 2, this.width, this.height);
+            ctx.fillStyle = this.color;
+            ctx.fillRect(-this.width / 2, -this.height / 2, this.width * MathUtils.clamp(this.progress, 0, 1), this.height);
+        }
+    }
+    
+    // Button names of the standard gamepad mapping (by button index)
+    const GAMEPAD_BUTTONS = [
+        'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS',
+        'DpadUp', 'DpadDown', 'DpadLeft', 'DpadRight', 'Home'
+    ];
+    
+    // Mouse button names (by MouseEvent.button)
+    const MOUSE_BUTTONS = ['left', 'middle', 'right'];
+    
+    // Input handler
+    const Input = {
+        // Stick values below this are treated as 0
+        deadzone: 0.2,
+        
+        // Action and axis bindings
+        actions: {},
+        axes: {},
+        
+        // Injected gamepad states by index (see setGamepad)
+        virtualGamepads: {},
+        
+        // Initialize input handling (headless engines get the state without DOM listeners)
+        init: function() {
+            this.reset();
+            if (somvas.headless) return;
+            
+            // Keyboard events (keys are tracked by both e.key and e.code)
+            window.addEventListener('keydown', (e) => {
+                if (!e.repeat) {
+                    this.press(e.key);
+                    this.press(e.code);
+                }
+                somvas.input.keys[e.key] = true;
+                somvas.input.keys[e.code] = true;
+            });
+            
+            window.addEventListener('keyup', (e) => {
+                somvas.input.keys[e.key] = false;
+                somvas.input.keys[e.code] = false;
+                this.release(e.key);
+                this.release(e.code);
+            });
+            
+            // Release everything when the window loses focus so keys and mouse
+            // buttons don't stick
+            window.addEventListener('blur', () => {
+                for (const key in somvas.input.keys) {
+                    if (somvas.input.keys[key]) {
+                        somvas.input.keys[key] = false;
+                        this.release(key);
+                    }
+                }
+                const mouse = somvas.input.mouse;
+                for (const button in mouse.buttons) {
+                    if (mouse.buttons[button]) {
+                        mouse.buttons[button] = false;
+                        this.release('mouse:' + button);
+                    }
+                }
+                mouse.pressed = false;
+            });
+            
+            // Mouse events
+            somvas.canvas.addEventListener('mousemove', (e) => {
+                const position = this.toCanvas(e.clientX, e.clientY);
+                somvas.input.mouse.x = position.x;
+                somvas.input.mouse.y = position.y;
+                somvas.input.mouse.active = true;
+            });
+            
+            somvas.canvas.addEventListener('mouseleave', () => {
+                somvas.input.mouse.active = false;
+            });
+            
+            somvas.canvas.addEventListener('mousedown', (e) => {
+                const button = MOUSE_BUTTONS[e.button];
+                if (!button) return;
+                somvas.input.mouse.active = true;
+                somvas.input.mouse.buttons[button] = true;
+                if (button === 'left') {
+                    somvas.input.mouse.pressed = true;
+                }
+                this.press('mouse:' + button);
+            });
+            
+            // Listen on the window so releasing outside the canvas still counts
+            window.addEventListener('mouseup', (e) => {
+                const button = MOUSE_BUTTONS[e.button];
+                if (!button || !somvas.input.mouse.buttons[button]) return;
+                somvas.input.mouse.buttons[button] = false;
+                if (button === 'left') {
+                    somvas.input.mouse.pressed = false;
+                }
+                this.release('mouse:' + button);
+            });
+            
+            somvas.canvas.addEventListener('wheel', (e) => {
+                e.preventDefault();
+                somvas.input.pending.wheelX += e.deltaX;
+                somvas.input.pending.wheelY += e.deltaY;
+            }, { passive: false });
+            
+            // Right-click is game input, not a context menu
+            somvas.canvas.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+            });
+            
+            // Touch events
+            somvas.canvas.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                for (const touch of e.changedTouches) {
+                    const position = this.toCanvas(touch.clientX, touch.clientY);
+                    somvas.input.touches.set(touch.identifier, {
+                        id: touch.identifier,
+                        x: position.x,
+                        y: position.y,
+                        startX: position.x,
+                        startY: position.y
+                    });
+                }
+                if (!somvas.input.touch.pressed) {
+                    this.press('touch');
+                }
+                this.syncPrimaryTouch();
+            });
+            
+            somvas.canvas.addEventListener('touchmove', (e) => {
+                e.preventDefault();
+                for (const touch of e.changedTouches) {
+                    const active = somvas.input.touches.get(touch.identifier);
+                    if (active) {
+                        const position = this.toCanvas(touch.clientX, touch.clientY);
+                        active.x = position.x;
+                        active.y = position.y;
+                    }
+                }
+                this.syncPrimaryTouch();
+            });
+            
+            const endTouches = (e) => {
+                for (const touch of e.changedTouches) {
+                    somvas.input.touches.delete(touch.identifier);
+                }
+                if (somvas.input.touch.pressed && somvas.input.touches.size === 0) {
+                    this.release('touch');
+                }
+                this.syncPrimaryTouch();
+            };
+            somvas.canvas.addEventListener('touchend', endTouches);
+            somvas.canvas.addEventListener('touchcancel', endTouches);
+        },
+        
+        // Clear all input state (held inputs, edges, touches and injected gamepads)
+        reset: function() {
+            this.virtualGamepads = {};
+            somvas.input = {
+                keys: {},
+                mouse: {
+                    x: 0,
+                    y: 0,
+                    // Whether the mouse is over the canvas (touch devices have no mouse pointer)
+                    active: false,
+                    pressed: false,
+                    buttons: {},
+                    wheelX: 0,
+                    wheelY: 0
+                },
+                touch: {
+                    x: 0,
+                    y: 0,
+                    pressed: false
+                },
+                // Active touches keyed by touch identifier
+                touches: new Map(),
+                gamepads: [],
+                // Inputs that went down/up since the last frame (filled by events)
+                pending: { pressed: new Set(), released: new Set(), wheelX: 0, wheelY: 0 },
+                // Inputs that went down/up this frame (what wasPressed/wasReleased read)
+                frame: { pressed: new Set(), released: new Set() }
+            };
+        },
+        
+        // Inject a key state (for tests, replays and headless simulations).
+        // Like real events, the change shows up in wasPressed/wasReleased next frame.
+        setKey: function(code, down) {
+            const keys = somvas.input.keys;
+            if (!!keys[code] === down) return;
+            keys[code] = down;
+            if (down) {
+                this.press(code);
+            } else {
+                this.release(code);
+            }
+        },
+        
+        // Inject a mouse button state ('left', 'middle' or 'right')
+        setMouseButton: function(button, down) {
+            const mouse = somvas.input.mouse;
+            mouse.active = true;
+            if (!!mouse.buttons[button] === down) return;
+            mouse.buttons[button] = down;
+            if (button === 'left') {
+                mouse.pressed = down;
+            }
+            if (down) {
+                this.press('mouse:' + button);
+            } else {
+                this.release('mouse:' + button);
+            }
+        },
+        
+        // Inject the mouse position (canvas coordinates)
+        setMousePosition: function(x, y) {
+            somvas.input.mouse.x = x;
+            somvas.input.mouse.y = y;
+            somvas.input.mouse.active = true;
+        },
+        
+        // Inject wheel movement for the next frame
+        addWheel: function(deltaX, deltaY) {
+            somvas.input.pending.wheelX += deltaX;
+            somvas.input.pending.wheelY += deltaY;
+        },
+        
+        // Inject a touch starting or moving (canvas coordinates)
+        setTouch: function(id, x, y) {
+            const input = somvas.input;
+            const active = input.touches.get(id);
+            if (active) {
+                active.x = x;
+                active.y = y;
+            } else {
+                input.touches.set(id, { id: id, x: x, y: y, startX: x, startY: y });
+                if (!input.touch.pressed) {
+                    this.press('touch');
+                }
+            }
+            this.syncPrimaryTouch();
+        },
+        
+        // Inject a touch ending
+        endTouch: function(id) {
+            const input = somvas.input;
+            input.touches.delete(id);
+            if (input.touch.pressed && input.touches.size === 0) {
+                this.release('touch');
+            }
+            this.syncPrimaryTouch();
+        },
+        
+        // Inject a virtual gamepad ({ buttons: { A: true }, axes: { LeftX: 1 } }),
+        // or remove it with null. Virtual pads are listed next to real ones.
+        setGamepad: function(index, state) {
+            if (state) {
+                this.virtualGamepads[index] = state;
+            } else {
+                delete this.virtualGamepads[index];
+            }
+        },
+        
+        // Convert client (page) coordinates to canvas (design resolution) coordinates
+        toCanvas: function(clientX, clientY) {
+            return Display.toDesign(clientX, clientY);
+        },
+        
+        // Record that an input went down since the last frame
+        press: function(code) {
+            somvas.input.pending.pressed.add(code);
+        },
+        
+        // Record that an input went up since the last frame
+        release: function(code) {
+            somvas.input.pending.released.add(code);
+        },
+        
+        // Keep the single-touch state in line with the first active touch
+        syncPrimaryTouch: function() {
+            const first = somvas.input.touches.values().next().value;
+            somvas.input.touch.pressed = !!first;
+            if (first) {
+                somvas.input.touch.x = first.x;
+                somvas.input.touch.y = first.y;
+            }
+        },
+        
+        // Snapshot this frame's pressed/released inputs and poll gamepads
+        // (called by the game loop once per frame)
+        update: function() {
+            const input = somvas.input;
+            if (!input.pending) return;
+            
+            input.frame.pressed = input.pending.pressed;
+            input.frame.released = input.pending.released;
+            input.mouse.wheelX = input.pending.wheelX;
+            input.mouse.wheelY = input.pending.wheelY;
+            input.pending = { pressed: new Set(), released: new Set(), wheelX: 0, wheelY: 0 };
+            
+            this.pollGamepads();
+        },
+        
+        // Read the Gamepad API and record button edges as 'gamepad:<Button>'
+        pollGamepads: function() {
+            const input = somvas.input;
+            const wasDown = {};
+            for (const name of GAMEPAD_BUTTONS) {
+                wasDown[name] = this.isGamepadButtonDown(name);
+            }
+            
+            input.gamepads = [];
+            const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+            for (const pad of pads) {
+                if (!pad || !pad.connected) continue;
+                
+                const buttons = {};
+                pad.buttons.forEach((button, i) => {
+                    const name = GAMEPAD_BUTTONS[i] || 'Button' + i;
+                    buttons[name] = { pressed: button.pressed, value: button.value };
+                });
+                
+                const left = this.applyDeadzone(pad.axes[0] || 0, pad.axes[1] || 0);
+                const right = this.applyDeadzone(pad.axes[2] || 0, pad.axes[3] || 0);
+                input.gamepads.push({
+                    index: pad.index,
+                    id: pad.id,
+                    buttons: buttons,
+                    axes: { LeftX: left.x, LeftY: left.y, RightX: right.x, RightY: right.y }
+                });
+            }
+            
+            for (const index in this.virtualGamepads) {
+                const state = this.virtualGamepads[index];
+                const buttons = {};
+                for (const name in state.buttons || {}) {
+                    const value = Number(state.buttons[name]);
+                    buttons[name] = { pressed: value > 0, value: value };
+                }
+                input.gamepads.push({
+                    index: Number(index),
+                    id: 'virtual',
+                    buttons: buttons,
+                    axes: Object.assign({ LeftX: 0, LeftY: 0, RightX: 0, RightY: 0 }, state.axes)
+                });
+            }
+            
+            for (const name of GAMEPAD_BUTTONS) {
+                const down = this.isGamepadButtonDown(name);
+                if (down && !wasDown[name]) {
+                    input.frame.pressed.add('gamepad:' + name);
+                } else if (!down && wasDown[name]) {
+                    input.frame.released.add('gamepad:' + name);
+                }
+            }
+        },
+        
+        // Radial deadzone, rescaled so values start at 0 at the edge of the deadzone
+        applyDeadzone: function(x, y) {
+            const magnitude = Math.sqrt(x * x + y * y);
+            if (magnitude < this.deadzone) {
+                return { x: 0, y: 0 };
+            }
+            const scale = Math.min((magnitude - this.deadzone) / (1 - this.deadzone), 1) / magnitude;
+            return { x: x * scale, y: y * scale };
+        },
+        
+        // Check if a button is held on any connected gamepad
+        isGamepadButtonDown: function(name) {
+            return somvas.input.gamepads.some(pad => pad.buttons[name] && pad.buttons[name].pressed);
+        },
+        
+        // Get a gamepad by index (connected pads only)
+        getGamepad: function(index = 0) {
+            return somvas.input.gamepads.find(pad => pad.index === index) || null;
+        },
+        
+        // Get a stick axis ('LeftX', 'LeftY', 'RightX', 'RightY') of a gamepad,
+        // or the strongest value across all gamepads if no index is given
+        getGamepadAxis: function(name, index) {
+            const pads = index === undefined ? somvas.input.gamepads : [this.getGamepad(index)].filter(Boolean);
+            let value = 0;
+            for (const pad of pads) {
+                const padValue = pad.axes[name] || 0;
+                if (Math.abs(padValue) > Math.abs(value)) {
+                    value = padValue;
+                }
+            }
+            return value;
+        },
+        
+        // Check if an input is held. Codes are keyboard keys or codes ('a', 'KeyA',
+        // 'Space'), 'mouse:left'/'mouse:middle'/'mouse:right', 'touch' or 'gamepad:<Button>'
+        isDown: function(code) {
+            if (code.startsWith('mouse:')) {
+                return !!somvas.input.mouse.buttons[code.slice(6)];
+            }
+            if (code.startsWith('gamepad:')) {
+                return this.isGamepadButtonDown(code.slice(8));
+            }
+            if (code === 'touch') {
+                return somvas.input.touch.pressed;
+            }
+            return somvas.input.keys[code] || false;
+        },
+        
+        // Check if an input went down this frame
+        wasPressed: function(code) {
+            return somvas.input.frame.pressed.has(code);
+        },
+        
+        // Check if an input went up this frame
+        wasReleased: function(code) {
+            return somvas.input.frame.released.has(code);
+        },
+        
+        // Bind an action name to a list of input codes
+        bindAction: function(name, codes) {
+            this.actions[name] = codes.slice();
+            return this;
+        },
+        
+        // Remove an action binding
+        unbindAction: function(name) {
+            delete this.actions[name];
+            return this;
+        },
+        
+        // Check if any input bound to an action is held
+        isActionDown: function(name) {
+            return (this.actions[name] || []).some(code => this.isDown(code));
+        },
+        
+        // Check if any input bound to an action went down this frame
+        wasActionPressed: function(name) {
+            return (this.actions[name] || []).some(code => this.wasPressed(code));
+        },
+        
+        // Check if any input bound to an action went up this frame
+        wasActionReleased: function(name) {
+            return (this.actions[name] || []).some(code => this.wasReleased(code));
+        },
+        
+        // Bind an axis: { negative: [codes], positive: [codes], gamepadAxes: ['LeftX'] }
+        bindAxis: function(name, binding) {
+            this.axes[name] = {
+                negative: binding.negative || [],
+                positive: binding.positive || [],
+                gamepadAxes: binding.gamepadAxes || []
+            };
+            return this;
+        },
+        
+        // Get an axis value between -1 and 1 (the stronger of buttons and sticks)
+        getAxis: function(name) {
+            const axis = this.axes[name];
+            if (!axis) return 0;
+            
+            let digital = 0;
+            if (axis.positive.some(code => this.isDown(code))) digital += 1;
+            if (axis.negative.some(code => this.isDown(code))) digital -= 1;
+            
+            let analog = 0;
+            for (const axisName of axis.gamepadAxes) {
+                const value = this.getGamepadAxis(axisName);
+                if (Math.abs(value) > Math.abs(analog)) {
+                    analog = value;
+                }
+            }
+            
+            return Math.abs(analog) > Math.abs(digital) ? analog : digital;
+        },
+        
+        // Check if a key is pressed
+        isKeyPressed: function(key) {
+            return somvas.input.keys[key] || false;
+        },
+        
+        // Check if mouse is pressed (left button, or another button by name)
+        isMousePressed: function(button = 'left') {
+            return !!somvas.input.mouse.buttons[button];
+        },
+        
+        // Check if touch is active
+        isTouchPressed: function() {
+            return somvas.input.touch.pressed;
+        },
+        
+        // Get the mouse wheel movement of this frame
+        getWheel: function() {
+            return { x: somvas.input.mouse.wheelX, y: somvas.input.mouse.wheelY };
+        },
+        
+        // Get all active touches ({ id, x, y, startX, startY })
+        getTouches: function(worldSpace = false) {
+            return Array.from(somvas.input.touches.values()).map(touch => {
+                const position = this.toSpace(touch.x, touch.y, worldSpace);
+                return { id: touch.id, x: position.x, y: position.y, startX: touch.startX, startY: touch.startY };
+            });
+        },
+        
+        // Get an active touch by its identifier
+        getTouch: function(id, worldSpace = false) {
+            return this.getTouches(worldSpace).find(touch => touch.id === id) || null;
+        },
+        
+        // Get every pointer: active touches plus the mouse (id 'mouse')
+        getPointers: function(worldSpace = false) {
+            const mouse = this.getMousePosition(worldSpace);
+            return this.getTouches(worldSpace).concat([{
+                id: 'mouse',
+                x: mouse.x,
+                y: mouse.y,
+                pressed: somvas.input.mouse.pressed
+            }]);
+        },
+        
+        // Get mouse position (in world coordinates of the current scene's camera if worldSpace is true)
+        getMousePosition: function(worldSpace = false) {
+            return this.toSpace(somvas.input.mouse.x, somvas.input.mouse.y, worldSpace);
+        },
+        
+        // Get touch position (in world coordinates of the current scene's camera if worldSpace is true)
+        getTouchPosition: function(worldSpace = false) {
+            return this.toSpace(somvas.input.touch.x, somvas.input.touch.y, worldSpace);
+        },
+        
+        // Convert a screen position to world space through the current camera
+        toSpace: function(x, y, worldSpace) {
+            if (worldSpace && somvas.currentScene) {
+                return somvas.currentScene.camera.screenToWorld(x, y);
+            }
+            return { x: x, y: y };
+        }
+    };
+    
+    // Start with empty input state so queries work before init
+    Input.reset();
+    
+    // Event methods shared by the engine, scenes and game objects. Listeners get
+    // (data, event); event is { name, target, currentTarget, stopPropagation() }.
+    // Game object events bubble to the parents, then to the scene.
+    const EventMethods = {
+        // Listen for an event. A game object (or component) given as owner has the
+        // listener removed automatically when it leaves its scene. Without an owner
+        // the listener stays until off() removes it, so components listening to the
+        // engine or another object should pass themselves as owner.
+        on: function(name, callback, owner = null) {
+            return addListener(this, name, callback, owner, false);
+        },
+        
+        // Listen for the next time an event is emitted only
+        once: function(name, callback, owner = null) {
+            return addListener(this, name, callback, owner, true);
+        },
+        
+        // Remove a listener, every listener of an event, or all listeners
+        off: function(name, callback) {
+            if (!this.listeners) return this;
+            if (name === undefined) {
+                this.listeners = {};
+            } else if (!callback) {
+                delete this.listeners[name];
+            } else if (this.listeners[name]) {
+                this.listeners[name] = this.listeners[name].filter(listener => listener.callback !== callback);
+            }
+            return this;
+        },
+        
+        // Emit an event with optional data (bubbles for game objects)
+        emit: function(name, data) {
+            const event = {
+                name: name,
+                target: this,
+                currentTarget: this,
+                stopped: false,
+                stopPropagation: function() {
+                    this.stopped = true;
+                }
+            };
+            for (let emitter = this; emitter && !event.stopped; emitter = emitter.getEventParent ? emitter.getEventParent() : null) {
+                const listeners = emitter.listeners && emitter.listeners[name];
+                if (!listeners || listeners.length === 0) continue;
+                
+                event.currentTarget = emitter;
+                emitter.listeners[name] = listeners.filter(listener => !listener.once);
+                for (const listener of listeners) {
+                    listener.callback(data, event);
+                }
+            }
+            return this;
+        }
+    };
+    
+    // Register a listener (and remember it on its owner for cleanup)
+    function addListener(emitter, name, callback, owner, once) {
+        if (!emitter.listeners) {
+            emitter.listeners = {};
+        }
+        (emitter.listeners[name] || (emitter.listeners[name] = [])).push({ callback: callback, once: once });
+        
+        const ownerGameObject = ownerObject(owner);
+        if (ownerGameObject) {
+            ownerGameObject.subscriptions.push({ emitter: emitter, name: name, callback: callback });
+        }
+        return emitter;
+    }
+    
+    // Remove an object from its parent's children or its scene's root list
+    // without changing its scene (used when moving it)
+    function detach(gameObject) {
+        if (gameObject.parent) {
+            const siblings = gameObject.parent.children;
+            siblings.splice(siblings.indexOf(gameObject), 1);
+            gameObject.parent = null;
+        } else if (gameObject.scene) {
+            const index = gameObject.scene.gameObjects.indexOf(gameObject);
+            if (index !== -1) {
+                gameObject.scene.gameObjects.splice(index, 1);
+            }
+        }
+    }
+    
+    // Objects destroyed since the last flush (removed at the end of the frame)
+    const pendingDestroy = [];
+    
+    // Remove the objects destroy() was called on
+    function flushDestroyed() {
+        while (pendingDestroy.length > 0) {
+            removeDestroyed(pendingDestroy.shift());
+        }
+    }
+    
+    // Remove a destroyed object now (or return a pooled one to its pool)
+    function removeDestroyed(gameObject) {
+        if (gameObject.pool) {
+            gameObject.pool.reclaim(gameObject);
+            return;
+        }
+        if (gameObject.isActiveInHierarchy()) {
+            sendActiveChange(gameObject, false);
+        }
+        gameObject.traverse(object => object.sendMessage('onDestroy'));
+        if (gameObject.parent) {
+            gameObject.parent.removeChild(gameObject);
+        } else if (gameObject.scene) {
+            gameObject.scene.remove(gameObject);
+        }
+    }
+    
+    // Send onEnable/onDisable to an object and its descendants that are active themselves
+    function sendActiveChange(gameObject, active) {
+        gameObject.sendMessage(active ? 'onEnable' : 'onDisable');
+        for (const child of gameObject.children) {
+            if (child.active) {
+                sendActiveChange(child, active);
+            }
+        }
+    }
+    
+    // Unique ids for game objects (used to key collision pairs)
+    let nextObjectId = 1;
+    
+    // Base GameObject class
+    class GameObject {
+        constructor(x, y, layer = 0) {
+            this.id = nextObjectId++;
+            this.x = x || 0;
+            this.y = y || 0;
+            this.width = 0;
+            this.height = 0;
+            this.rotation = 0;
+            this.scaleX = 1;
+            this.scaleY = 1;
+            this.visible = true;
+            // Inactive objects (and their children) don't update, draw or collide;
+            // hidden ones only stop drawing
+            this.active = true;
+            // Set by destroy() (the object leaves its scene at the end of the frame)
+            this.destroyed = false;
+            // Pool the object came from (destroy() returns it there)
+            this.pool = null;
+            this.components = [];
+            this.collider = null;
+            this.layer = layer;
+            // Screen-space objects (HUD) ignore the camera
+            this.screenSpace = false;
+            // Interactive objects get pointer events; draggable ones follow the pointer when dragged
+            this.interactive = false;
+            this.draggable = false;
+            // Hierarchy (x, y, rotation and scale are relative to the parent)
+            this.parent = null;
+            this.children = [];
+            // Listeners this object owns on other emitters (removed when it leaves its scene)
+            this.subscriptions = [];
+        }
+        
+        // Attach a child object (detaching it from its previous parent or scene)
+        addChild(child) {
+            detach(child);
+            
+            child.parent = this;
+            this.children.push(child);
+            assignScene(child, this.scene);
+            this.sortChildrenByLayer();
+            return child;
+        }
+        
+        // Detach a child object (it leaves the scene with its own children)
+        removeChild(child) {
+            const index = this.children.indexOf(child);
+            if (index !== -1) {
+                this.children.splice(index, 1);
+                child.parent = null;
+                assignScene(child, null);
+            }
+            return child;
+        }
+        
+        // Remove this object (and its children) from its parent or scene at the
+        // end of the frame, calling onDisable and onDestroy on the components.
+        // Pooled objects go back to their pool instead.
+        destroy() {
+            if (this.destroyed) return;
+            this.destroyed = true;
+            // Objects outside a scene aren't in the middle of an update (other
+            // objects queued for the end of the frame stay queued)
+            if (this.scene) {
+                pendingDestroy.push(this);
+            } else {
+                removeDestroyed(this);
+            }
+        }
+        
+        // Turn the object (and its children) on or off, sending onEnable/onDisable
+        setActive(active) {
+            if (this.active === active) return this;
+            const parentActive = !this.parent || this.parent.isActiveInHierarchy();
+            this.active = active;
+            if (parentActive) {
+                sendActiveChange(this, active);
+            }
+            return this;
+        }
+        
+        // Check whether this object and all of its parents are active
+        isActiveInHierarchy() {
+            for (let current = this; current; current = current.parent) {
+                if (!current.active) return false;
+            }
+            return true;
+        }
+        
+        // Sort children by layer (draw order within the parent)
+        sortChildrenByLayer() {
+            this.children.sort((a, b) => a.layer - b.layer);
+        }
+        
+        // Call back with this object and every descendant (depth first)
+        traverse(callback) {
+            callback(this);
+            for (const child of this.children) {
+                child.traverse(callback);
+            }
+        }
+        
+        // Find the first descendant with a tag
+        findChild(tag) {
+            for (const child of this.children) {
+                if (child.tag === tag) return child;
+                const found = child.findChild(tag);
+                if (found) return found;
+            }
+            return null;
+        }
+        
+        // Topmost ancestor (the object itself if it has no parent)
+        getRoot() {
+            let root = this;
+            while (root.parent) {
+                root = root.parent;
+            }
+            return root;
+        }
+        
+        // Add a component to the game object
+        addComponent(component) {
+            this.components.push(component);
+            component.gameObject = this;
+            if (component.start) {
+                component.start();
+            }
+            if (component.onEnable && this.isActiveInHierarchy()) {
+                component.onEnable();
+            }
+            return this;
+        }
+        
+        // Remove a component (or the first one of a type), calling its onDisable
+        // and onDestroy hooks; returns the component or null
+        removeComponent(component) {
+            if (typeof component === 'function') {
+                component = this.getComponent(component);
+            }
+            const index = this.components.indexOf(component);
+            if (index === -1) return null;
+            
+            this.components.splice(index, 1);
+            if (component.onDisable && this.isActiveInHierarchy()) {
+                component.onDisable();
+            }
+            if (component.onDestroy) {
+                component.onDestroy();
+            }
+            component.gameObject = null;
+            return component;
+        }
+        
+        // Get a component by type
+        getComponent(type) {
+            return this.components.find(component => component instanceof type);
+        }
+        
+        // Next emitter for bubbling events: the parent, or the scene for root objects
+        getEventParent() {
+            return this.parent || this.scene || null;
+        }
+        
+        // Listen to another emitter's event for as long as this object is in its scene
+        listenTo(emitter, name, callback) {
+            emitter.on(name, callback, this);
+            return this;
+        }
+        
+        // Remove every listener this object owns on other emitters
+        stopListening() {
+            for (const subscription of this.subscriptions) {
+                subscription.emitter.off(subscription.name, subscription.callback);
+            }
+            this.subscriptions = [];
+            return this;
+        }
+        
+        // Call a method by name on this object and on each of its components
+        sendMessage(method, ...args) {
+            if (typeof this[method] === 'function') {
+                this[method](...args);
+            }
+            for (const component of this.components) {
+                if (typeof component[method] === 'function') {
+                    component[method](...args);
+                }
+            }
+        }
+        
+        // Update the game object, its components and its children
+        update(deltaTime) {
+            if (!this.active || this.destroyed) return;
+            
+            for (const component of this.components.slice()) {
+                if (component.update && component.gameObject === this) {
+                    component.update(deltaTime);
+                }
+            }
+            
+            for (const child of this.children.slice()) {
+                child.update(deltaTime);
+            }
+        }
+        
+        // Run fixedUpdate on the components and children (fixed timestep only)
+        fixedUpdate(deltaTime) {
+            if (!this.active || this.destroyed) return;
+            
+            for (const component of this.components.slice()) {
+                if (component.fixedUpdate && component.gameObject === this) {
+                    component.fixedUpdate(deltaTime);
+                }
+            }
+            
+            for (const child of this.children.slice()) {
+                child.fixedUpdate(deltaTime);
+            }
+        }
+        
+        // Position to draw at (interpolated between fixed steps for
+        // rigidbodies with interpolate enabled)
+        getRenderPosition() {
+            if (somvas.fixedTimeStep) {
+                const body = this.getComponent(Rigidbody);
+                if (body && body.interpolate && body.previousPosition) {
+                    return {
+                        x: MathUtils.lerp(body.previousPosition.x, this.x, somvas.alpha),
+                        y: MathUtils.lerp(body.previousPosition.y, this.y, somvas.alpha)
+                    };
+                }
+            }
+            return { x: this.x, y: this.y };
+        }
+        
+        // Draw the game object and its components
+        draw(ctx) {
+            if (!this.visible || !this.active) return;
+            
+            const position = this.getRenderPosition();
+            ctx.save();
+            ctx.translate(position.x, position.y);
+            ctx.rotate(this.rotation);
+            ctx.scale(this.scaleX, this.scaleY);
+            
+            for (const component of this.components) {
+                if (component.draw) {
+                    component.draw(ctx);
+                }
+            }
+            
+            // Children draw inside this object's transform
+            for (const child of this.children) {
+                child.draw(ctx);
+            }
+            
+            ctx.restore();
+        }
+        
+        // World-space position, rotation and scale of this object. Rotation and
+        // scale are combined per axis, which is exact unless a parent has
+        // non-uniform scale and a rotated child.
+        getWorldTransform() {
+            if (!this.parent) {
+                return {
+                    x: this.x,
+                    y: this.y,
+                    rotation: this.rotation,
+                    scaleX: this.scaleX,
+                    scaleY: this.scaleY
+                };
+            }
+            
+            const parent = this.parent.getWorldTransform();
+            const position = this.parent.localToWorld(this.x, this.y);
+            return {
+                x: position.x,
+                y: position.y,
+                rotation: parent.rotation + this.rotation,
+                scaleX: parent.scaleX * this.scaleX,
+                scaleY: parent.scaleY * this.scaleY
+            };
+        }
+        
+        // Transform from this object's local space to its parent's space
+        getLocalMatrix() {
+            return Matrix2D.fromTransform(this.x, this.y, this.rotation, this.scaleX, this.scaleY);
+        }
+        
+        // Transform from this object's local space to world space (exact for any
+        // combination of parent rotation and scale)
+        getWorldMatrix() {
+            const local = this.getLocalMatrix();
+            return this.parent ? this.parent.getWorldMatrix().multiply(local) : local;
+        }
+        
+        // World-space position of this object
+        getWorldPosition() {
+            return this.parent ? this.parent.localToWorld(this.x, this.y) : { x: this.x, y: this.y };
+        }
+        
+        // Move this object to a world-space position
+        setWorldPosition(x, y) {
+            const local = this.parent ? this.parent.worldToLocal(x, y) : { x: x, y: y };
+            this.x = local.x;
+            this.y = local.y;
+            return this;
+        }
+        
+        // World-space rotation of this object
+        getWorldRotation() {
+            return this.getWorldTransform().rotation;
+        }
+        
+        // World-space scale of this object
+        getWorldScale() {
+            const transform = this.getWorldTransform();
+            return { x: transform.scaleX, y: transform.scaleY };
+        }
+        
+        // Convert a point from this object's local space to world space
+        // (same order as draw: translate, rotate, then scale, then the parents)
+        localToWorld(x, y) {
+            const cos = Math.cos(this.rotation);
+            const sin = Math.sin(this.rotation);
+            const scaledX = x * this.scaleX;
+            const scaledY = y * this.scaleY;
+            const point = {
+                x: this.x + scaledX * cos - scaledY * sin,
+                y: this.y + scaledX * sin + scaledY * cos
+            };
+            return this.parent ? this.parent.localToWorld(point.x, point.y) : point;
+        }
+        
+        // Convert a world-space point to this object's local space
+        worldToLocal(x, y) {
+            const point = this.parent ? this.parent.worldToLocal(x, y) : { x: x, y: y };
+            const cos = Math.cos(-this.rotation);
+            const sin = Math.sin(-this.rotation);
+            const relX = point.x - this.x;
+            const relY = point.y - this.y;
+            return {
+                x: (relX * cos - relY * sin) / this.scaleX,
+                y: (relX * sin + relY * cos) / this.scaleY
+            };
+        }
+        
+        // World-space bounding box from the collider and the components'
+        // visual size, optionally including the children (null if nothing
+        // has a known size)
+        getBounds(includeChildren = false) {
+            const points = [];
+            for (const component of this.components) {
+                if (component.getLocalBounds) {
+                    const local = component.getLocalBounds();
+                    points.push(
+                        this.localToWorld(local.x, local.y),
+                        this.localToWorld(local.x + local.width, local.y),
+                        this.localToWorld(local.x + local.width, local.y + local.height),
+                        this.localToWorld(local.x, local.y + local.height)
+                    );
+                }
+            }
+            
+            if (this.collider) {
+                const bounds = this.collider.getBounds();
+                points.push(
+                    { x: bounds.x, y: bounds.y },
+                    { x: bounds.x + bounds.width, y: bounds.y + bounds.height }
+                );
+            }
+            
+            if (includeChildren) {
+                for (const child of this.children) {
+                    const bounds = child.getBounds(true);
+                    if (bounds) {
+                        points.push(
+                            { x: bounds.x, y: bounds.y },
+                            { x: bounds.x + bounds.width, y: bounds.y + bounds.height }
+                        );
+                    }
+                }
+            }
+            
+            return points.length > 0 ? boundsOfPoints(points) : null;
+        }
+        
+        // Check whether a world-space point hits the object: its collider if it
+        // has one, otherwise its components' visual bounds (children not included)
+        containsPoint(x, y) {
+            if (this.collider) {
+                return this.collider.containsPoint(x, y);
+            }
+            const local = this.worldToLocal(x, y);
+            return this.components.some(component =>
+                component.getLocalBounds && MathUtils.pointInRect(local, component.getLocalBounds())
+            );
+        }
+        
+        // Set a collider for this game object
+        setCollider(type, ...args) {
+            this.collider = new type(this, ...args);
+            return this.collider;
+        }
+        
+        // Check collision with another game object
+        checkCollision(other) {
+            if (!this.collider || !other.collider) return false;
+            return this.collider.checkCollision(other.collider);
+        }
+        
+        // Set the layer (z-index) for this game object
+        setLayer(layer) {
+            this.layer = layer;
+            // Sort the parent's children or the scene's objects by layer
+            if (this.parent) {
+                this.parent.sortChildrenByLayer();
+            } else if (this.scene) {
+                this.scene.sortObjectsByLayer();
+            }
+            return this;
+        }
+        
+        // Get the layer of this game object
+        getLayer() {
+            return this.layer;
+        }
+        
+        // Save-game state of this object (see Storage): its transform, active flag
+        // and the state of components that have a serialize() method (keyed by
+        // saveName or registered name). Override (calling super) to save more.
+        serialize() {
+            const state = {
+                x: this.x,
+                y: this.y,
+                rotation: this.rotation,
+                scaleX: this.scaleX,
+                scaleY: this.scaleY,
+                active: this.active
+            };
+            const components = {};
+            for (const component of this.components) {
+                if (typeof component.serialize === 'function') {
+                    components[saveName(component)] = component.serialize();
+                }
+            }
+            if (Object.keys(components).length > 0) {
+                state.components = components;
+            }
+            return state;
+        }
+        
+        // Restore state from serialize() (fields missing from it are left alone)
+        deserialize(state) {
+            for (const key of ['x', 'y', 'rotation', 'scaleX', 'scaleY']) {
+                if (state[key] !== undefined) {
+                    this[key] = state[key];
+                }
+            }
+            if (state.active !== undefined) {
+                this.setActive(state.active);
+            }
+            const components = state.components || {};
+            for (const component of this.components) {
+                const name = saveName(component);
+                if (typeof component.deserialize === 'function' && components[name] !== undefined) {
+                    component.deserialize(components[name]);
+                }
+            }
+            return this;
+        }
+        
+        // Describe the object, its collider, components and children as JSON data
+        toJSON() {
+            const data = {
+                x: this.x,
+                y: this.y,
+                width: this.width,
+                height: this.height,
+                rotation: this.rotation,
+                scaleX: this.scaleX,
+                scaleY: this.scaleY,
+                layer: this.layer,
+                visible: this.visible,
+                active: this.active,
+                screenSpace: this.screenSpace
+            };
+            if (this.name !== undefined) data.name = this.name;
+            if (this.tag !== undefined) data.tag = this.tag;
+            if (this.saveKey !== undefined) data.saveKey = this.saveKey;
+            
+            // Tilemap colliders are rebuilt by the Tilemap component
+            const collider = this.collider;
+            if (collider && !(collider instanceof TilemapCollider)) {
+                const type = Object.keys(COLLIDER_FIELDS).find(name => collider.constructor === somvas[name]);
+                if (!type) {
+                    throw new Error(`Collider '${collider.constructor.name}' can't be serialized`);
+                }
+                data.collider = {
+                    type: type,
+                    collisionLayer: collider.collisionLayer,
+                    collisionMask: collider.collisionMask,
+                    isTrigger: collider.isTrigger
+                };
+                for (const field of COLLIDER_FIELDS[type]) {
+                    data.collider[field] = collider[field];
+                }
+            }
+            
+            // Components marked serializable = false (widget internals) are rebuilt by their owners
+            data.components = this.components
+                .filter(component => component.serializable !== false)
+                .map(component => ComponentRegistry.serialize(component));
+            data.children = this.children.map(child => child.toJSON());
+            return data;
+        }
+        
+        // Build a game object from JSON data ({ prefab: name, ... } instantiates a
+        // prefab with the other fields as overrides)
+        static fromJSON(data) {
+            if (data.prefab !== undefined) {
+                const template = prefabs[data.prefab];
+                if (!template) {
+                    throw new Error(`Prefab '${data.prefab}' not found`);
+                }
+                const overrides = Object.assign({}, data);
+                delete overrides.prefab;
+                return GameObject.fromJSON(mergeData(template, overrides));
+            }
+            
+            const gameObject = new GameObject(data.x, data.y, data.layer || 0);
+            for (const key of ['width', 'height', 'rotation', 'scaleX', 'scaleY', 'visible', 'active', 'screenSpace', 'name', 'tag', 'saveKey']) {
+                if (data[key] !== undefined) {
+                    gameObject[key] = data[key];
+                }
+            }
+            
+            // The collider goes first so components like Tilemap see it in start()
+            if (data.collider) {
+                const fields = COLLIDER_FIELDS[data.collider.type];
+                if (!fields) {
+                    throw new Error(`Unknown collider type '${data.collider.type}'`);
+                }
+                const args = JSON.parse(JSON.stringify(fields.map(field => data.collider[field])));
+                const collider = gameObject.setCollider(somvas[data.collider.type], ...args);
+                collider.collisionLayer = data.collider.collisionLayer !== undefined ? data.collider.collisionLayer : 1;
+                collider.collisionMask = data.collider.collisionMask !== undefined ? data.collider.collisionMask : ~0;
+                collider.isTrigger = !!data.collider.isTrigger;
+            }
+            
+            for (const component of data.components || []) {
+                gameObject.addComponent(ComponentRegistry.deserialize(component));
+            }
+            for (const child of data.children || []) {
+                gameObject.addChild(GameObject.fromJSON(child));
+            }
+            return gameObject;
+        }
+    }
+    
+    // Key a component's save state is stored under: its saveName, or its
+    // registered name. Class names aren't used because minifiers rename them.
+    function saveName(component) {
+        const name = component.saveName || ComponentRegistry.nameOf(component);
+        if (!name) {
+            throw new Error(`Component '${component.constructor.name}' needs a saveName or a registered name to be saved`);
+        }
+        return name;
+    }
+    
+    // Reuses game objects so spawning many short-lived ones (bullets, hit effects)
+    // doesn't allocate. destroy() on a spawned object returns it to the pool.
+    class ObjectPool {
+        constructor(create, options = {}) {
+            // Builds a new object when none is free
+            this.create = create;
+            // Called on an object each time it's spawned
+            this.reset = options.reset || null;
+            // Most free objects kept (extra released ones are dropped)
+            this.maxSize = options.maxSize !== undefined ? options.maxSize : Infinity;
+            this.free = [];
+            this.inUse = new Set();
+            if (options.size) {
+                this.prewarm(options.size);
+            }
+        }
+        
+        // Create free objects ahead of time
+        prewarm(count) {
+            for (let i = 0; i < count && this.free.length < this.maxSize; i++) {
+                this.free.push(this.createObject());
+            }
+            return this;
+        }
+        
+        // Build an inactive object that belongs to this pool
+        createObject() {
+            const gameObject = this.create();
+            gameObject.pool = this;
+            gameObject.setActive(false);
+            gameObject.destroyed = true;
+            return gameObject;
+        }
+        
+        // Take a free object (or create one), reset it, add it to a scene and
+        // activate it (components get onEnable, then onSpawn)
+        spawn(scene, x, y) {
+            const gameObject = this.free.pop() || this.createObject();
+            gameObject.destroyed = false;
+            if (x !== undefined) {
+                gameObject.x = x;
+                gameObject.y = y;
+            }
+            this.inUse.add(gameObject);
+            if (this.reset) {
+                this.reset(gameObject);
+            }
+            if (scene) {
+                scene.add(gameObject);
+            }
+            gameObject.setActive(true);
+            gameObject.sendMessage('onSpawn');
+            return gameObject;
+        }
+        
+        // Return a spawned object right away (destroy() waits for the end of the frame)
+        release(gameObject) {
+            if (!this.inUse.has(gameObject)) return;
+            gameObject.destroyed = true;
+            const index = pendingDestroy.indexOf(gameObject);
+            if (index !== -1) {
+                pendingDestroy.splice(index, 1);
+            }
+            this.reclaim(gameObject);
+        }
+        
+        // Deactivate a released object, take it out of its scene and keep it for reuse
+        reclaim(gameObject) {
+            if (!this.inUse.delete(gameObject)) return;
+            gameObject.setActive(false);
+            gameObject.sendMessage('onRelease');
+            if (gameObject.parent) {
+                gameObject.parent.removeChild(gameObject);
+            } else if (gameObject.scene) {
+                gameObject.scene.remove(gameObject);
+            }
+            
+            if (this.free.length < this.maxSize) {
+                this.free.push(gameObject);
+            } else {
+                gameObject.pool = null;
+                gameObject.traverse(object => object.sendMessage('onDestroy'));
+            }
+        }
+        
+        // Return every spawned object
+        releaseAll() {
+            for (const gameObject of Array.from(this.inUse)) {
+                this.release(gameObject);
+            }
+        }
+        
+        // Number of spawned objects
+        countActive() {
+            return this.inUse.size;
+        }
+        
+        // Number of objects ready to spawn
+        countFree() {
+            return this.free.length;
+        }
+    }
+    
+    // Set the scene of an object and all of its descendants (objects leaving
+    // their scene drop the listeners they own)
+    function assignScene(gameObject, scene) {
+        gameObject.traverse(object => {
+            if (object.scene && object.scene !== scene) {
+                object.stopListening();
+            }
+            object.scene = scene;
+        });
+    }
+    
+    // Sprite component
+    class Sprite {
+        constructor(image, width, height) {
+            this.image = image;
+            this.width = width;
+            this.height = height;
+            this.opacity = 1;
+            // Sub-rectangle of the image to draw ({ x, y, width, height } or null for all of it)
+            this.frame = null;
+            this.flipX = false;
+            this.flipY = false;
+        }
+        
+        // Draw the sprite
+        draw(ctx) {
+            if (this.image) {
+                ctx.globalAlpha = this.opacity;
+                
+                const flipped = this.flipX || this.flipY;
+                if (flipped) {
+                    ctx.save();
+                    ctx.scale(this.flipX ? -1 : 1, this.flipY ? -1 : 1);
+                }
+                
+                if (this.frame) {
+                    ctx.drawImage(
+                        this.image,
+                        this.frame.x,
+                        this.frame.y,
+                        this.frame.width,
+                        this.frame.height,
+                        -this.width / 2,
+                        -this.height / 2,
+                        this.width,
+                        this.height
+                    );
+                } else {
+                    ctx.drawImage(
+                        this.image, 
+                        -this.width / 2, 
+                        -this.height / 2, 
+                        this.width, 
+                        this.height
+                    );
+                }
+                
+                if (flipped) {
+                    ctx.restore();
+                }
+                ctx.globalAlpha = 1;
+            }
+        }
+        
+        // Local-space area covered by the sprite
+        getLocalBounds() {
+            return { x: -this.width / 2, y: -this.height / 2, width: this.width, height: this.height };
+        }
+    }
+    
+    // Sprite sheet (an image sliced into frames by grid or atlas data)
+    class SpriteSheet {
+        constructor(image) {
+            this.image = image;
+            this.frames = [];
+            this.frameNames = {};
+            // Clips described by the atlas (e.g. Aseprite frame tags)
+            this.animations = {};
+        }
+        
+        // Add a frame (duration in seconds, optional)
+        addFrame(name, x, y, width, height, duration = null) {
+            const index = this.frames.length;
+            this.frames.push({ name: name, x: x, y: y, width: width, height: height, duration: duration });
+            if (name !== null && name !== undefined) {
+                this.frameNames[name] = index;
+            }
+            return index;
+        }
+        
+        // Get a frame by index or name
+        getFrame(frame) {
+            if (typeof frame === 'string') {
+                return this.frames[this.frameNames[frame]];
+            }
+            return this.frames[frame];
+        }
+        
+        // Get the index of a frame by index or name
+        getFrameIndex(frame) {
+            return typeof frame === 'string' ? this.frameNames[frame] : frame;
+        }
+        
+        // Slice an image into equally sized frames (left to right, top to bottom)
+        static fromGrid(image, frameWidth, frameHeight, options = {}) {
+            const sheet = new SpriteSheet(image);
+            const margin = options.margin || 0;
+            const spacing = options.spacing || 0;
+            const columns = options.columns || Math.floor((image.width - margin * 2 + spacing) / (frameWidth + spacing));
+            const rows = options.rows || Math.floor((image.height - margin * 2 + spacing) / (frameHeight + spacing));
+            const count = options.count || columns * rows;
+            
+            for (let i = 0; i < count; i++) {
+                const column = i % columns;
+                const row = Math.floor(i / columns);
+                sheet.addFrame(
+                    null,
+                    margin + column * (frameWidth + spacing),
+                    margin + row * (frameHeight + spacing),
+                    frameWidth,
+                    frameHeight
+                );
+            }
+            return sheet;
+        }
+        
+        // Build a sheet from atlas JSON (TexturePacker or Aseprite, hash or array)
+        static fromAtlas(image, data) {
+            const sheet = new SpriteSheet(image);
+            const entries = Array.isArray(data.frames) ?
+                data.frames.map(entry => [entry.filename, entry]) :
+                Object.keys(data.frames).map(name => [name, data.frames[name]]);
+            
+            for (const [name, entry] of entries) {
+                const rect = entry.frame;
+                // Aseprite durations are in milliseconds
+                const duration = entry.duration !== undefined ? entry.duration / 1000 : null;
+                sheet.addFrame(name, rect.x, rect.y, rect.w, rect.h, duration);
+            }
+            
+            // Aseprite frame tags become named clips
+            const tags = (data.meta && data.meta.frameTags) || [];
+            for (const tag of tags) {
+                const frames = [];
+                for (let i = tag.from; i <= tag.to; i++) {
+                    frames.push(i);
+                }
+                if (tag.direction === 'reverse') {
+                    frames.reverse();
+                }
+                sheet.animations[tag.name] = {
+                    frames: frames,
+                    mode: tag.direction === 'pingpong' ? 'pingpong' : 'loop'
+                };
+            }
+            return sheet;
+        }
+    }
+    
+    // Shortest time a frame is shown for (seconds)
+    const MIN_FRAME_DURATION = 0.001;
+    
+    // Animator component (plays named clips from a sprite sheet on the Sprite component)
+    class Animator {
+        constructor(spriteSheet) {
+            this.spriteSheet = spriteSheet;
+            this.clips = {};
+            this.currentClip = null;
+            this.frameIndex = 0;
+            this.time = 0;
+            this.speed = 1;
+            this.flipX = false;
+            this.flipY = false;
+            this.playing = false;
+            this.direction = 1;
+            
+            // Clips defined by the atlas are available right away
+            if (spriteSheet) {
+                for (const name in spriteSheet.animations) {
+                    this.addClip(name, spriteSheet.animations[name].frames, spriteSheet.animations[name]);
+                }
+            }
+        }
+        
+        // Add a named clip. Options: frameDuration, durations (per frame),
+        // mode ('loop', 'once' or 'pingpong'), events ({ frameIndex: callback }), onComplete
+        addClip(name, frames, options = {}) {
+            if (options.frameDuration !== undefined && !(options.frameDuration > 0)) {
+                throw new Error(`Clip '${name}' needs a positive frameDuration (got ${options.frameDuration})`);
+            }
+            if (options.durations) {
+                if (options.durations.length !== frames.length) {
+                    throw new Error(`Clip '${name}' has ${frames.length} frames but ${options.durations.length} durations`);
+                }
+                if (!options.durations.every(duration => duration > 0)) {
+                    throw new Error(`Clip '${name}' durations must all be positive`);
+                }
+            }
+            this.clips[name] = {
+                name: name,
+                frames: frames.map(frame => this.spriteSheet.getFrameIndex(frame)),
+                frameDuration: options.frameDuration || 0.1,
+                durations: options.durations || null,
+                mode: options.mode || 'loop',
+                events: options.events || {},
+                onComplete: options.onComplete || null
+            };
+            return this;
+        }
+        
+        // Play a clip (keeps going if it's already playing unless restart is true)
+        play(name, restart = false) {
+            const clip = this.clips[name];
+            if (!clip) {
+                throw new Error(`Animation clip '${name}' not found`);
+            }
+            if (this.currentClip === clip && this.playing && !restart) {
+                return this;
+            }
+            
+            this.currentClip = clip;
+            this.frameIndex = 0;
+            this.time = 0;
+            this.direction = 1;
+            this.playing = true;
+            this.applyFrame();
+            this.fireFrameEvents();
+            return this;
+        }
+        
+        // Stop playback and rewind to the first frame
+        stop() {
+            this.playing = false;
+            this.frameIndex = 0;
+            this.time = 0;
+            this.applyFrame();
+            return this;
+        }
+        
+        // Pause playback on the current frame
+        pause() {
+            this.playing = false;
+            return this;
+        }
+        
+        // Resume playback
+        resume() {
+            if (this.currentClip) {
+                this.playing = true;
+            }
+            return this;
+        }
+        
+        // Check whether a clip is playing (any clip if no name is given)
+        isPlaying(name) {
+            return this.playing && (!name || (this.currentClip && this.currentClip.name === name));
+        }
+        
+        // Duration of the current frame in seconds (atlas durations are kept above
+        // zero so a 0 ms frame can't stall update)
+        getFrameDuration() {
+            const clip = this.currentClip;
+            if (clip.durations) {
+                return clip.durations[this.frameIndex];
+            }
+            const frame = this.spriteSheet.getFrame(clip.frames[this.frameIndex]);
+            return frame.duration !== null ? Math.max(frame.duration, MIN_FRAME_DURATION) : clip.frameDuration;
+        }
+        
+        // Advance the current clip
+        update(deltaTime) {
+            if (!this.playing || !this.currentClip) {
+                this.applyFrame();
+                return;
+            }
+            
+            const clip = this.currentClip;
+            this.time += deltaTime * this.speed;
+            
+            let duration = this.getFrameDuration();
+            while (this.playing && this.time >= duration) {
+                this.time -= duration;
+                
+                if (!this.advanceFrame()) {
+                    // A 'once' clip finished on its last frame
+                    this.playing = false;
+                    this.time = 0;
+                    if (clip.onComplete) {
+                        clip.onComplete(clip.name);
+                    }
+                    if (this.gameObject) {
+                        this.gameObject.sendMessage('onAnimationFinished', clip.name);
+                    }
+                    break;
+                }
+                
+                this.fireFrameEvents();
+                // Events may have switched clips
+                if (this.currentClip !== clip) return;
+                duration = this.getFrameDuration();
+            }
+            
+            this.applyFrame();
+        }
+        
+        // Move to the next frame according to the clip mode (false when a 'once' clip ends)
+        advanceFrame() {
+            const clip = this.currentClip;
+            const last = clip.frames.length - 1;
+            
+            if (clip.mode === 'pingpong') {
+                if (last === 0) return true;
+                if (this.frameIndex + this.direction > last || this.frameIndex + this.direction < 0) {
+                    this.direction = -this.direction;
+                }
+                this.frameIndex += this.direction;
+                return true;
+            }
+            
+            if (this.frameIndex < last) {
+                this.frameIndex++;
+                return true;
+            }
+            
+            if (clip.mode === 'once') {
+                return false;
+            }
+            
+            this.frameIndex = 0;
+            if (clip.onComplete) {
+                clip.onComplete(clip.name);
+            }
+            return true;
+        }
+        
+        // Call the clip's frame callback and send onAnimationFrame
+        fireFrameEvents() {
+            const clip = this.currentClip;
+            const callback = clip.events[this.frameIndex];
+            if (callback) {
+                callback(this.frameIndex, clip.name);
+            }
+            if (this.gameObject) {
+                this.gameObject.sendMessage('onAnimationFrame', clip.name, this.frameIndex);
+            }
+        }
+        
+        // Show the current frame on the game object's Sprite
+        applyFrame() {
+            const sprite = this.gameObject && this.gameObject.getComponent(Sprite);
+            if (!sprite || !this.currentClip) return;
+            
+            sprite.image = this.spriteSheet.image;
+            sprite.frame = this.spriteSheet.getFrame(this.currentClip.frames[this.frameIndex]);
+            sprite.flipX = this.flipX;
+            sprite.flipY = this.flipY;
+        }
+    }
+    
+    // Text component
+    class Text {
+        constructor(text, style) {
+            this.text = text;
+            this.style = style || {
+                font: '16px Arial',
+                fill: 'white',
+                align: 'center',
+                baseline: 'middle'
+            };
+        }
+        
+        // Lines to draw: the text split on newlines and, when style.wrapWidth is
+        // set, wrapped at spaces to fit that width
+        getLines(ctx) {
+            const key = this.text + '|' + this.style.font + '|' + this.style.wrapWidth;
+            if (this.linesKey === key) return this.lines;
+            
+            const paragraphs = String(this.text).split('\n');
+            let lines = paragraphs;
+            if (this.style.wrapWidth) {
+                ctx.font = this.style.font;
+                lines = [];
+                for (const paragraph of paragraphs) {
+                    let line = '';
+                    for (const word of paragraph.split(' ')) {
+                        const candidate = line ? line + ' ' + word : word;
+                        if (line && ctx.measureText(candidate).width > this.style.wrapWidth) {
+                            lines.push(line);
+                            line = word;
+                        } else {
+                            line = candidate;
+                        }
+                    }
+                    lines.push(line);
+                }
+            }
+            this.linesKey = key;
+            this.lines = lines;
+            return lines;
+        }
+        
+        // Distance between lines (style.lineHeight, or 1.2 times the font size)
+        getLineHeight() {
+            if (this.style.lineHeight) return this.style.lineHeight;
+            const match = /(\d+(?:\.\d+)?)px/.exec(this.style.font);
+            return (match ? parseFloat(match[1]) : 16) * 1.2;
+        }
+        
+        // Size of the (possibly wrapped) text block
+        measure(ctx = somvas.ctx) {
+            const lines = this.getLines(ctx);
+            ctx.font = this.style.font;
+            return {
+                width: Math.max(...lines.map(line => ctx.measureText(line).width)),
+                height: lines.length * this.getLineHeight()
+            };
+        }
+        
+        // Draw the text (multi-line text is centered on the origin for the 'middle' baseline)
+        draw(ctx) {
+            ctx.font = this.style.font;
+            ctx.fillStyle = this.style.fill;
+            ctx.textAlign = this.style.align;
+            ctx.textBaseline = this.style.baseline;
+            
+            const lines = this.getLines(ctx);
+            if (lines.length === 1) {
+                ctx.fillText(lines[0], 0, 0);
+                return;
+            }
+            const lineHeight = this.getLineHeight();
+            const startY = this.style.baseline === 'middle' ? -(lines.length - 1) * lineHeight / 2 : 0;
+            lines.forEach((line, i) => {
+                ctx.fillText(line, 0, startY + i * lineHeight);
+            });
+        }
+    }
+    
+    // Image stretched to any size without distorting its corners. insets
+    // ({ left, top, right, bottom } or one number) are in image pixels.
+    class NineSlice {
+        constructor(image, insets, width, height) {
+            this.image = image;
+            this.insets = typeof insets === 'number' ?
+                { left: insets, top: insets, right: insets, bottom: insets } : insets;
+            this.width = width;
+            this.height = height;
+            this.opacity = 1;
+        }
+        
+        draw(ctx) {
+            const image = typeof this.image === 'string' ? somvas.assets[this.image] : this.image;
+            if (!image) return;
+            
+            const insets = this.insets;
+            // Source and destination column/row edges
+            const sourceX = [0, insets.left, image.width - insets.right, image.width];
+            const sourceY = [0, insets.top, image.height - insets.bottom, image.height];
+            const left = -this.width / 2;
+            const top = -this.height / 2;
+            const targetX = [left, left + insets.left, left + this.width - insets.right, left + this.width];
+            const targetY = [top, top + insets.top, top + this.height - insets.bottom, top + this.height];
+            
+            ctx.globalAlpha = this.opacity;
+            for (let row = 0; row < 3; row++) {
+                for (let column = 0; column < 3; column++) {
+                    const sourceWidth = sourceX[column + 1] - sourceX[column];
+                    const sourceHeight = sourceY[row + 1] - sourceY[row];
+                    const targetWidth = targetX[column + 1] - targetX[column];
+                    const targetHeight = targetY[row + 1] - targetY[row];
+                    if (sourceWidth <= 0 || sourceHeight <= 0 || targetWidth <= 0 || targetHeight <= 0) continue;
+                    ctx.drawImage(
+                        image,
+                        sourceX[column], sourceY[row], sourceWidth, sourceHeight,
+                        targetX[column], targetY[row], targetWidth, targetHeight
+                    );
+                }
+            }
+            ctx.globalAlpha = 1;
+        }
+        
+        getLocalBounds() {
+            return { x: -this.width / 2, y: -this.height / 2, width: this.width, height: this.height };
+        }
+    }
+    
+    // Shape component (rectangle)
+    class Rectangle {
+        constructor(width, height, color) {
+            this.width = width;
+            this.height = height;
+            this.color = color || 'white';
+            this.fill = true;
+            this.stroke = false;
+            this.strokeColor = 'black';
+            this.strokeWidth = 1;
+        }
+        
+        // Draw the rectangle
+        draw(ctx) {
+            if (this.fill) {
+                ctx.fillStyle = this.color;
+                ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
+            }
+            
+            if (this.stroke) {
+                ctx.strokeStyle = this.strokeColor;
+                ctx.lineWidth = this.strokeWidth;
+                ctx.strokeRect(-this.width / 2, -this.height / 2, this.width, this.height);
+            }
+        }
+        
+        // Local-space area covered by the rectangle
+        getLocalBounds() {
+            return { x: -this.width / 2, y: -this.height / 2, width: this.width, height: this.height };
+        }
+    }
+    
+    // Shape component (circle)
+    class Circle {
+        constructor(radius, color) {
+            this.radius = radius;
+            this.color = color || 'white';
+            this.fill = true;
+            this.stroke = false;
+            this.strokeColor = 'black';
+            this.strokeWidth = 1;
+        }
+        
+        // Draw the circle
+        draw(ctx) {
+            ctx.beginPath();
+            ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
+            
+            if (this.fill) {
+                ctx.fillStyle = this.color;
+                ctx.fill();
+            }
+            
+            if (this.stroke) {
+                ctx.strokeStyle = this.strokeColor;
+                ctx.lineWidth = this.strokeWidth;
+                ctx.stroke();
+            }
+        }
+        
+        // Local-space area covered by the circle
+        getLocalBounds() {
+            return { x: -this.radius, y: -this.radius, width: this.radius * 2, height: this.radius * 2 };
+        }
+    }
+    
+    // Default particle emitter config (every value is plain JSON; angles are in degrees)
+    const PARTICLE_DEFAULTS = {
+        maxParticles: 500,
+        // Particles per second, plus bursts of { time, count } within each cycle
+        rate: 10,
+        bursts: [],
+        // Seconds of emission per cycle (null for no limit) and whether cycles repeat
+        duration: null,
+        loop: false,
+        // Remove the game object once emission is over and every particle has died
+        // (without a duration the rate defaults to 0; a rate needs a duration)
+        oneShot: false,
+        // 'world' particles stay where they were emitted, 'local' ones move with the object
+        space: 'world',
+        // Spawn area: a radius, or a width/height box
+        area: { radius: 0 },
+        // Ranges are a number or [min, max]
+        lifetime: [0.5, 1],
+        speed: [50, 100],
+        angle: 0,
+        spread: 360,
+        rotation: 0,
+        angularVelocity: 0,
+        gravity: { x: 0, y: 0 },
+        drag: 0,
+        // Over-lifetime values are a number or evenly spaced stops
+        size: [8, 0],
+        opacity: [1, 0],
+        color: '#ffffff',
+        // 'circle' or 'square', or a texture (image or asset name) drawn instead
+        shape: 'circle',
+        texture: null,
+        // 'normal', 'additive' or any canvas composite operation
+        blendMode: 'normal'
+    };
+    
+    // Parse '#rgb', '#rrggbb', '#rrggbbaa', 'rgb()' or 'rgba()' into [r, g, b, a]
+    function parseColor(color) {
+        let match = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(color);
+        if (match) {
+            let hex = match[1];
+            if (hex.length === 3) {
+                hex = hex.split('').map(digit => digit + digit).join('');
+            }
+            return [
+                parseInt(hex.slice(0, 2), 16),
+                parseInt(hex.slice(2, 4), 16),
+                parseInt(hex.slice(4, 6), 16),
+                hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+            ];
+        }
+        match = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i.exec(color);
+        if (match) {
+            return [+match[1], +match[2], +match[3], match[4] !== undefined ? +match[4] : 1];
+        }
+        throw new Error(`Unsupported particle color '${color}'`);
+    }
+    
+    // Pick a value from a number or a [min, max] range
+    function randomInRange(range) {
+        return Array.isArray(range) ? MathUtils.random(range[0], range[1]) : range;
+    }
+    
+    // Sample evenly spaced stops at t (0 to 1)
+    function sampleStops(stops, t) {
+        if (!Array.isArray(stops)) return stops;
+        if (stops.length === 1) return stops[0];
+        const position = t * (stops.length - 1);
+        const index = Math.min(Math.floor(position), stops.length - 2);
+        return MathUtils.lerp(stops[index], stops[index + 1], position - index);
+    }
+    
+    // Particle emitter component (simulates a pooled array of particles)
+    class ParticleEmitter {
+        constructor(config = {}) {
+            // Without a duration a one-shot stops at its last burst, which would cut
+            // steady emission off after a frame: such burst-only one-shots default
+            // to no rate, and setting one is an error
+            const burstOnly = config.oneShot && (config.duration === undefined || config.duration === null);
+            if (burstOnly && config.rate > 0) {
+                throw new Error('One-shot particle emitters with a rate need a duration');
+            }
+            this.config = Object.assign({}, PARTICLE_DEFAULTS, burstOnly ? { rate: 0 } : {}, config);
+            this.colors = [].concat(this.config.color).map(parseColor);
+            this.maxSize = Math.max(...[].concat(this.config.size));
+            this.lastBurstTime = Math.max(0, ...this.config.bursts.map(burst => burst.time || 0));
+            // Pool: the first `count` particles are alive, the rest are reused
+            this.particles = [];
+            this.count = 0;
+            this.emitting = true;
+            this.time = 0;
+            this.emitAccumulator = 0;
+            this.burstsFired = [];
+            this.bounds = null;
+        }
+        
+        // Start emitting (restarts the cycle)
+        play() {
+            this.emitting = true;
+            this.time = 0;
+            this.emitAccumulator = 0;
+            this.burstsFired = [];
+            return this;
+        }
+        
+        // Stop emitting (living particles finish unless clear is true)
+        stop(clear = false) {
+            this.emitting = false;
+            if (clear) {
+                this.clear();
+            }
+            return this;
+        }
+        
+        // Kill every particle
+        clear() {
+            this.count = 0;
+            this.bounds = null;
+            return this;
+        }
+        
+        // Check whether the emitter is emitting or has living particles
+        isAlive() {
+            return this.emitting || this.count > 0;
+        }
+        
+        // Spawn particles right away
+        emit(count) {
+            const config = this.config;
+            const local = config.space === 'local';
+            const transform = local ? null : this.gameObject.getWorldTransform();
+            const baseAngle = config.angle * Math.PI / 180 + (local ? 0 : transform.rotation);
+            const spread = config.spread * Math.PI / 180;
+            
+            for (let i = 0; i < count && this.count < config.maxParticles; i++) {
+                let particle = this.particles[this.count];
+                if (!particle) {
+                    particle = {};
+                    this.particles.push(particle);
+                }
+                this.count++;
+                
+                // Position within the spawn area
+                let offsetX = 0;
+                let offsetY = 0;
+                if (config.area.radius) {
+                    const angle = MathUtils.random() * Math.PI * 2;
+                    const distance = Math.sqrt(MathUtils.random()) * config.area.radius;
+                    offsetX = Math.cos(angle) * distance;
+                    offsetY = Math.sin(angle) * distance;
+                } else if (config.area.width || config.area.height) {
+                    offsetX = (config.area.width || 0) * (MathUtils.random() - 0.5);
+                    offsetY = (config.area.height || 0) * (MathUtils.random() - 0.5);
+                }
+                const position = local ? { x: offsetX, y: offsetY } : this.gameObject.localToWorld(offsetX, offsetY);
+                
+                const angle = baseAngle + (MathUtils.random() - 0.5) * spread;
+                const speed = randomInRange(config.speed);
+                particle.x = position.x;
+                particle.y = position.y;
+                particle.vx = Math.cos(angle) * speed;
+                particle.vy = Math.sin(angle) * speed;
+                particle.rotation = randomInRange(config.rotation) * Math.PI / 180;
+                particle.angularVelocity = randomInRange(config.angularVelocity) * Math.PI / 180;
+                particle.age = 0;
+                particle.lifetime = Math.max(randomInRange(config.lifetime), 0.0001);
+            }
+            return this;
+        }
+        
+        // Emit by rate and bursts, then move and age the particles
+        update(deltaTime) {
+            const config = this.config;
+            
+            if (this.emitting) {
+                this.time += deltaTime;
+                
+                config.bursts.forEach((burst, index) => {
+                    if (!this.burstsFired[index] && this.time >= (burst.time || 0)) {
+                        this.burstsFired[index] = true;
+                        this.emit(burst.count);
+                    }
+                });
+                
+                this.emitAccumulator += config.rate * deltaTime;
+                if (this.emitAccumulator >= 1) {
+                    const count = Math.floor(this.emitAccumulator);
+                    this.emitAccumulator -= count;
+                    this.emit(count);
+                }
+                
+                // End of the cycle
+                const duration = config.duration !== null ? config.duration :
+                    (config.oneShot ? this.lastBurstTime : Infinity);
+                if (this.time >= duration) {
+                    if (config.loop && !config.oneShot) {
+                        this.time -= duration;
+                        this.burstsFired = [];
+                    } else {
+                        this.emitting = false;
+                    }
+                }
+            }
+            
+            // Simulate, recycling dead particles by swapping in the last living one
+            const drag = Math.max(1 - config.drag * deltaTime, 0);
+            let minX = Infinity;
+            let minY = Infinity;
+            let maxX = -Infinity;
+            let maxY = -Infinity;
+            for (let i = 0; i < this.count; i++) {
+                const particle = this.particles[i];
+                particle.age += deltaTime;
+                if (particle.age >= particle.lifetime) {
+                    this.count--;
+                    this.particles[i] = this.particles[this.count];
+                    this.particles[this.count] = particle;
+                    i--;
+                    continue;
+                }
+                
+                particle.vx = (particle.vx + config.gravity.x * deltaTime) * drag;
+                particle.vy = (particle.vy + config.gravity.y * deltaTime) * drag;
+                particle.x += particle.vx * deltaTime;
+                particle.y += particle.vy * deltaTime;
+                particle.rotation += particle.angularVelocity * deltaTime;
+                
+                minX = Math.min(minX, particle.x);
+                minY = Math.min(minY, particle.y);
+                maxX = Math.max(maxX, particle.x);
+                maxY = Math.max(maxY, particle.y);
+            }
+            
+            const padding = this.maxSize / 2;
+            this.bounds = this.count > 0 ? {
+                x: minX - padding,
+                y: minY - padding,
+                width: maxX - minX + padding * 2,
+                height: maxY - minY + padding * 2
+            } : null;
+            
+            if (config.oneShot && !this.isAlive()) {
+                this.gameObject.destroy();
+            }
+        }
+        
+        // Draw the living particles
+        draw(ctx) {
+            if (this.count === 0) return;
+            const config = this.config;
+            const texture = typeof config.texture === 'string' ? somvas.assets[config.texture] : config.texture;
+            
+            ctx.save();
+            if (config.space !== 'local') {
+                // Undo the object's transform so particles draw in world space
+                const transform = this.gameObject.getWorldTransform();
+                if (transform.scaleX === 0 || transform.scaleY === 0) {
+                    ctx.restore();
+                    return;
+                }
+                ctx.scale(1 / transform.scaleX, 1 / transform.scaleY);
+                ctx.rotate(-transform.rotation);
+                ctx.translate(-transform.x, -transform.y);
+            }
+            ctx.globalCompositeOperation = config.blendMode === 'additive' ? 'lighter' :
+                (config.blendMode === 'normal' ? 'source-over' : config.blendMode);
+            
+            for (let i = 0; i < this.count; i++) {
+                const particle = this.particles[i];
+                const t = particle.age / particle.lifetime;
+                const size = sampleStops(config.size, t);
+                const color = this.sampleColor(t);
+                const opacity = sampleStops(config.opacity, t) * color[3];
+                if (size <= 0 || opacity <= 0) continue;
+                
+                ctx.globalAlpha = Math.min(opacity, 1);
+                if (texture) {
+                    ctx.save();
+                    ctx.translate(particle.x, particle.y);
+                    ctx.rotate(particle.rotation);
+                    ctx.drawImage(texture, -size / 2, -size / 2, size, size);
+                    ctx.restore();
+                    continue;
+                }
+                
+                ctx.fillStyle = `rgb(${color[0] | 0}, ${color[1] | 0}, ${color[2] | 0})`;
+                if (config.shape === 'square') {
+                    ctx.save();
+                    ctx.translate(particle.x, particle.y);
+                    ctx.rotate(particle.rotation);
+                    ctx.fillRect(-size / 2, -size / 2, size, size);
+                    ctx.restore();
+                } else {
+                    ctx.beginPath();
+                    ctx.arc(particle.x, particle.y, size / 2, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            }
+            
+            ctx.restore();
+        }
+        
+        // Color at t (0 to 1) of a particle's lifetime
+        sampleColor(t) {
+            const colors = this.colors;
+            if (colors.length === 1) return colors[0];
+            const position = t * (colors.length - 1);
+            const index = Math.min(Math.floor(position), colors.length - 2);
+            const from = colors[index];
+            const to = colors[index + 1];
+            const amount = position - index;
+            return from.map((channel, i) => MathUtils.lerp(channel, to[i], amount));
+        }
+        
+        // Local-space area covered by the living particles (used for culling)
+        getLocalBounds() {
+            const bounds = this.bounds;
+            if (!bounds) {
+                return { x: 0, y: 0, width: 0, height: 0 };
+            }
+            if (this.config.space === 'local') {
+                return bounds;
+            }
+            return boundsOfPoints([
+                this.gameObject.worldToLocal(bounds.x, bounds.y),
+                this.gameObject.worldToLocal(bounds.x + bounds.width, bounds.y),
+                this.gameObject.worldToLocal(bounds.x + bounds.width, bounds.y + bounds.height),
+                this.gameObject.worldToLocal(bounds.x, bounds.y + bounds.height)
+            ]);
+        }
+    }
+    
+    // Separating axis tests shared by the colliders. Vertices are world-space
+    // points of a convex polygon; the returned normal points from A to B.
+    const SAT = {
+        // Unit normals of each polygon edge
+        getAxes: function(vertices) {
+            const axes = [];
+            for (let i = 0; i < vertices.length; i++) {
+                const a = vertices[i];
+                const b = vertices[(i + 1) % vertices.length];
+                const edgeX = b.x - a.x;
+                const edgeY = b.y - a.y;
+                const length = Math.sqrt(edgeX * edgeX + edgeY * edgeY);
+                if (length > 0) {
+                    axes.push({ x: -edgeY / length, y: edgeX / length });
+                }
+            }
+            return axes;
+        },
+        
+        // Project vertices onto an axis
+        project: function(vertices, axis) {
+            let min = Infinity;
+            let max = -Infinity;
+            for (const vertex of vertices) {
+                const projection = vertex.x * axis.x + vertex.y * axis.y;
+                if (projection < min) min = projection;
+                if (projection > max) max = projection;
+            }
+            return { min: min, max: max };
+        },
+        
+        // Average of the vertices
+        centroid: function(vertices) {
+            let x = 0;
+            let y = 0;
+            for (const vertex of vertices) {
+                x += vertex.x;
+                y += vertex.y;
+            }
+            return { x: x / vertices.length, y: y / vertices.length };
+        },
+        
+        // Find the axis of least overlap, or null if any axis separates the shapes
+        testAxes: function(axes, projectA, projectB, centerA, centerB) {
+            let best = null;
+            for (const axis of axes) {
+                const a = projectA(axis);
+                const b = projectB(axis);
+                const overlap = Math.min(a.max, b.max) - Math.max(a.min, b.min);
+                if (overlap <= 0) return null;
+                if (!best || overlap < best.depth) {
+                    best = { normal: { x: axis.x, y: axis.y }, depth: overlap };
+                }
+            }
+            if (!best) return null;
+            
+            // Make the normal point from A towards B
+            const dx = centerB.x - centerA.x;
+            const dy = centerB.y - centerA.y;
+            if (dx * best.normal.x + dy * best.normal.y < 0) {
+                best.normal.x = -best.normal.x;
+                best.normal.y = -best.normal.y;
+            }
+            return best;
+        },
+        
+        // Polygon vs polygon
+        polygonPolygon: function(verticesA, verticesB) {
+            return this.testAxes(
+                this.getAxes(verticesA).concat(this.getAxes(verticesB)),
+                axis => this.project(verticesA, axis),
+                axis => this.project(verticesB, axis),
+                this.centroid(verticesA),
+                this.centroid(verticesB)
+            );
+        },
+        
+        // Polygon vs circle
+        polygonCircle: function(vertices, center, radius) {
+            // Extra axis from the closest vertex to the circle center
+            let closest = null;
+            let closestDistance = Infinity;
+            for (const vertex of vertices) {
+                const distance = MathUtils.distance(vertex.x, vertex.y, center.x, center.y);
+                if (distance < closestDistance) {
+                    closestDistance = distance;
+                    closest = vertex;
+                }
+            }
+            
+            const axes = this.getAxes(vertices);
+            if (closestDistance > 0) {
+                axes.push({
+                    x: (center.x - closest.x) / closestDistance,
+                    y: (center.y - closest.y) / closestDistance
+                });
+            }
+            
+            return this.testAxes(
+                axes,
+                axis => this.project(vertices, axis),
+                axis => {
+                    const projection = center.x * axis.x + center.y * axis.y;
+                    return { min: projection - radius, max: projection + radius };
+                },
+                this.centroid(vertices),
+                center
+            );
+        }
+    };
+    
+    // Colliders
+    class Collider {
+        constructor(gameObject) {
+            this.gameObject = gameObject;
+            // Bit the collider belongs to, and bits it collides with
+            this.collisionLayer = 1;
+            this.collisionMask = ~0;
+            // Triggers report collisions but are never pushed apart
+            this.isTrigger = false;
+            // Compound colliders (e.g. tilemaps) report one contact per part
+            this.compound = false;
+            this.offsetX = 0;
+            this.offsetY = 0;
+        }
+        
+        // Set the collision layer bit(s) and the mask of layers to collide with
+        setCollisionLayer(layer, mask = ~0) {
+            this.collisionLayer = layer;
+            this.collisionMask = mask;
+            return this;
+        }
+        
+        // Check whether the layers/masks of both colliders allow a collision
+        canCollideWith(other) {
+            return (this.collisionMask & other.collisionLayer) !== 0 &&
+                   (other.collisionMask & this.collisionLayer) !== 0;
+        }
+        
+        // World-space center of the collider (offset follows rotation and scale)
+        getCenter() {
+            return this.gameObject.localToWorld(this.offsetX, this.offsetY);
+        }
+        
+        // Axis-aligned bounds in world space (used by the broad phase)
+        getBounds() {
+            const center = this.getCenter();
+            return { x: center.x, y: center.y, width: 0, height: 0 };
+        }
+        
+        checkCollision(other) {
+            if (other.compound && !this.compound) {
+                return other.checkCollision(this);
+            }
+            return this.getContact(other) !== null;
+        }
+        
+        // Check whether another collider overlaps this one (used by scene queries)
+        overlaps(other) {
+            return this.checkCollision(other);
+        }
+        
+        // Contact with another collider ({ normal, depth }) or null
+        getContact(other) {
+            return null;
+        }
+        
+        // Call back with each contact against another collider
+        forEachContact(other, callback) {
+            const contact = this.getContact(other);
+            if (contact) {
+                callback(contact);
+            }
+        }
+        
+        // Check whether a world-space point is inside the collider
+        containsPoint(x, y) {
+            return MathUtils.pointInRect({ x: x, y: y }, this.getBounds());
+        }
+        
+        // Where a ray (unit direction) enters the collider: { point, normal, distance }
+        // or null (rays starting inside don't hit)
+        raycast(origin, direction, maxDistance = Infinity) {
+            return MathUtils.rayRect(origin, direction, this.getBounds(), maxDistance);
+        }
+        
+        draw(ctx) {
+            // To be implemented by specific colliders
+        }
+    }
+    
+    // Axis-aligned bounds of a list of points
+    function boundsOfPoints(points) {
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        for (const point of points) {
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        }
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+    
+    // Check whether a point is inside a polygon (even-odd rule)
+    function pointInPolygon(x, y, vertices) {
+        let inside = false;
+        for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+            const a = vertices[i];
+            const b = vertices[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+    
+    // Outline a closed polygon (used by collider debug drawing)
+    function strokePolygon(ctx, vertices) {
+        ctx.strokeStyle = 'red';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        vertices.forEach((vertex, i) => {
+            if (i === 0) {
+                ctx.moveTo(vertex.x, vertex.y);
+            } else {
+                ctx.lineTo(vertex.x, vertex.y);
+            }
+        });
+        ctx.closePath();
+        ctx.stroke();
+    }
+    
+    class BoxCollider extends Collider {
+        constructor(gameObject, width, height, offsetX = 0, offsetY = 0) {
+            super(gameObject);
+            this.width = width;
+            this.height = height;
+            this.offsetX = offsetX;
+            this.offsetY = offsetY;
+        }
+        
+        // World-space corners of the (possibly rotated and scaled) box
+        getVertices() {
+            const halfWidth = this.width / 2;
+            const halfHeight = this.height / 2;
+            return [
+                this.gameObject.localToWorld(this.offsetX - halfWidth, this.offsetY - halfHeight),
+                this.gameObject.localToWorld(this.offsetX + halfWidth, this.offsetY - halfHeight),
+                this.gameObject.localToWorld(this.offsetX + halfWidth, this.offsetY + halfHeight),
+                this.gameObject.localToWorld(this.offsetX - halfWidth, this.offsetY + halfHeight)
+            ];
+        }
+        
+        // World-space rotation and half extents of the box
+        getOrientation() {
+            const transform = this.gameObject.getWorldTransform();
+            return {
+                rotation: transform.rotation,
+                halfWidth: this.width * Math.abs(transform.scaleX) / 2,
+                halfHeight: this.height * Math.abs(transform.scaleY) / 2
+            };
+        }
+        
+        // Check whether the box edges line up with the world axes
+        isAxisAligned() {
+            return Math.abs(Math.sin(2 * this.gameObject.getWorldTransform().rotation)) < 1e-9;
+        }
+        
+        // Get the contact normal (pointing from this to other) and penetration depth
+        getContact(other) {
+            if (other instanceof BoxCollider) {
+                if (!this.isAxisAligned() || !other.isAxisAligned()) {
+                    return SAT.polygonPolygon(this.getVertices(), other.getVertices());
+                }
+                
+                const bounds = this.getBounds();
+                const otherBounds = other.getBounds();
+                const dx = (otherBounds.x + otherBounds.width / 2) - (bounds.x + bounds.width / 2);
+                const dy = (otherBounds.y + otherBounds.height / 2) - (bounds.y + bounds.height / 2);
+                const overlapX = (bounds.width + otherBounds.width) / 2 - Math.abs(dx);
+                const overlapY = (bounds.height + otherBounds.height) / 2 - Math.abs(dy);
+                
+                if (overlapX <= 0 || overlapY <= 0) return null;
+                
+                // Separate along the axis of least penetration
+                if (overlapX < overlapY) {
+                    return { normal: { x: dx < 0 ? -1 : 1, y: 0 }, depth: overlapX };
+                }
+                return { normal: { x: 0, y: dy < 0 ? -1 : 1 }, depth: overlapY };
+            } else if (other instanceof CircleCollider) {
+                // Box vs Circle collision, done in the box's rotated frame
+                const center = this.getCenter();
+                const box = this.getOrientation();
+                const circleCenter = other.getCenter();
+                const radius = other.getWorldRadius();
+                const cos = Math.cos(box.rotation);
+                const sin = Math.sin(box.rotation);
+                const relX = circleCenter.x - center.x;
+                const relY = circleCenter.y - center.y;
+                const localX = relX * cos + relY * sin;
+                const localY = -relX * sin + relY * cos;
+                
+                const closestX = MathUtils.clamp(localX, -box.halfWidth, box.halfWidth);
+                const closestY = MathUtils.clamp(localY, -box.halfHeight, box.halfHeight);
+                const distance = MathUtils.distance(localX, localY, closestX, closestY);
+                
+                if (distance >= radius) return null;
+                
+                let normalX;
+                let normalY;
+                let depth;
+                if (distance > 0) {
+                    normalX = (localX - closestX) / distance;
+                    normalY = (localY - closestY) / distance;
+                    depth = radius - distance;
+                } else {
+                    // Circle center is inside the box: push out through the nearest face
+                    const faceX = box.halfWidth - Math.abs(localX);
+                    const faceY = box.halfHeight - Math.abs(localY);
+                    if (faceX < faceY) {
+                        normalX = localX < 0 ? -1 : 1;
+                        normalY = 0;
+                        depth = faceX + radius;
+                    } else {
+                        normalX = 0;
+                        normalY = localY < 0 ? -1 : 1;
+                        depth = faceY + radius;
+                    }
+                }
+                
+                // Rotate the normal back into world space
+                return {
+                    normal: {
+                        x: normalX * cos - normalY * sin,
+                        y: normalX * sin + normalY * cos
+                    },
+                    depth: depth
+                };
+            } else if (other instanceof PolygonCollider) {
+                return SAT.polygonPolygon(this.getVertices(), other.getVertices());
+            }
+            return null;
+        }
+        
+        getBounds() {
+            return boundsOfPoints(this.getVertices());
+        }
+        
+        containsPoint(x, y) {
+            return pointInPolygon(x, y, this.getVertices());
+        }
+        
+        raycast(origin, direction, maxDistance = Infinity) {
+            return MathUtils.rayPolygon(origin, direction, this.getVertices(), maxDistance);
+        }
+        
+        draw(ctx) {
+            strokePolygon(ctx, this.getVertices());
+        }
+    }
+    
+    class CircleCollider extends Collider {
+        constructor(gameObject, radius, offsetX = 0, offsetY = 0) {
+            super(gameObject);
+            this.radius = radius;
+            this.offsetX = offsetX;
+            this.offsetY = offsetY;
+        }
+        
+        // Radius after scaling (non-uniform scale uses the larger axis)
+        getWorldRadius() {
+            const transform = this.gameObject.getWorldTransform();
+            return this.radius * Math.max(Math.abs(transform.scaleX), Math.abs(transform.scaleY));
+        }
+        
+        // Get the contact normal (pointing from this to other) and penetration depth
+        getContact(other) {
+            if (other instanceof CircleCollider) {
+                const center = this.getCenter();
+                const otherCenter = other.getCenter();
+                const distance = MathUtils.distance(center.x, center.y, otherCenter.x, otherCenter.y);
+                const radii = this.getWorldRadius() + other.getWorldRadius();
+                
+                if (distance >= radii) return null;
+                
+                if (distance === 0) {
+                    return { normal: { x: 0, y: 1 }, depth: radii };
+                }
+                return {
+                    normal: {
+                        x: (otherCenter.x - center.x) / distance,
+                        y: (otherCenter.y - center.y) / distance
+                    },
+                    depth: radii - distance
+                };
+            } else if (other instanceof BoxCollider || other instanceof PolygonCollider) {
+                return flipContact(other.getContact(this));
+            }
+            return null;
+        }
+        
+        getBounds() {
+            const center = this.getCenter();
+            const radius = this.getWorldRadius();
+            return {
+                x: center.x - radius,
+                y: center.y - radius,
+                width: radius * 2,
+                height: radius * 2
+            };
+        }
+        
+        containsPoint(x, y) {
+            const center = this.getCenter();
+            return MathUtils.distance(center.x, center.y, x, y) <= this.getWorldRadius();
+        }
+        
+        raycast(origin, direction, maxDistance = Infinity) {
+            return MathUtils.rayCircle(origin, direction, this.getCenter(), this.getWorldRadius(), maxDistance);
+        }
+        
+        draw(ctx) {
+            const center = this.getCenter();
+            ctx.strokeStyle = 'red';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, this.getWorldRadius(), 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+    
+    // Convex polygon collider (points are local to the game object)
+    class PolygonCollider extends Collider {
+        constructor(gameObject, points, offsetX = 0, offsetY = 0) {
+            super(gameObject);
+            if (!points || points.length < 3) {
+                throw new Error('PolygonCollider needs at least 3 points');
+            }
+            this.points = points;
+            this.offsetX = offsetX;
+            this.offsetY = offsetY;
+        }
+        
+        // World-space points of the polygon
+        getVertices() {
+            return this.points.map(point =>
+                this.gameObject.localToWorld(point.x + this.offsetX, point.y + this.offsetY)
+            );
+        }
+        
+        // Get the contact normal (pointing from this to other) and penetration depth
+        getContact(other) {
+            if (other instanceof PolygonCollider || other instanceof BoxCollider) {
+                return SAT.polygonPolygon(this.getVertices(), other.getVertices());
+            } else if (other instanceof CircleCollider) {
+                return SAT.polygonCircle(this.getVertices(), other.getCenter(), other.getWorldRadius());
+            }
+            return null;
+        }
+        
+        getBounds() {
+            return boundsOfPoints(this.getVertices());
+        }
+        
+        containsPoint(x, y) {
+            return pointInPolygon(x, y, this.getVertices());
+        }
+        
+        raycast(origin, direction, maxDistance = Infinity) {
+            return MathUtils.rayPolygon(origin, direction, this.getVertices(), maxDistance);
+        }
+        
+        draw(ctx) {
+            strokePolygon(ctx, this.getVertices());
+        }
+    }
+    
+    // Reverse a contact so its normal points the other way
+    function flipContact(contact) {
+        if (!contact) return null;
+        return { normal: { x: -contact.normal.x, y: -contact.normal.y }, depth: contact.depth };
+    }
+    
+    // Check whether two bounds overlap or touch (used to skip query candidates)
+    function boundsOverlap(a, b) {
+        return a.x <= b.x + b.width && a.x + a.width >= b.x && a.y <= b.y + b.height && a.y + a.height >= b.y;
+    }
+    
+    // Game objects of colliders, nearest collider center to a point first
+    function sortByDistance(colliders, point) {
+        return colliders
+            .map(collider => {
+                const center = collider.getCenter();
+                return { gameObject: collider.gameObject, distance: MathUtils.distance(center.x, center.y, point.x, point.y) };
+            })
+            .sort((a, b) => a.distance - b.distance)
+            .map(entry => entry.gameObject);
+    }
+    
+    // Rigidbody component (velocity, forces and contact response)
+    class Rigidbody {
+        constructor(options = {}) {
+            // 'dynamic' bodies move and get pushed, 'kinematic' bodies move but are
+            // never pushed, 'static' bodies never move
+            this.type = options.type || 'dynamic';
+            this.velocity = { x: options.velocityX || 0, y: options.velocityY || 0 };
+            this.acceleration = { x: 0, y: 0 };
+            this.force = { x: 0, y: 0 };
+            this.mass = options.mass !== undefined ? options.mass : 1;
+            this.gravityScale = options.gravityScale !== undefined ? options.gravityScale : 1;
+            this.drag = options.drag || 0;
+            this.restitution = options.restitution || 0;
+            this.friction = options.friction || 0;
+            this.isGrounded = false;
+            // Draw between the last two fixed steps (fixed timestep only)
+            this.interpolate = options.interpolate || false;
+            this.previousPosition = null;
+        }
+        
+        // Inverse mass (0 for bodies that can't be pushed)
+        getInverseMass() {
+            if (this.type !== 'dynamic' || this.mass <= 0) return 0;
+            return 1 / this.mass;
+        }
+        
+        // Apply a force for the next physics step
+        addForce(x, y) {
+            this.force.x += x;
+            this.force.y += y;
+            return this;
+        }
+        
+        // Apply an instant change in momentum
+        addImpulse(x, y) {
+            const inverseMass = this.getInverseMass();
+            this.velocity.x += x * inverseMass;
+            this.velocity.y += y * inverseMass;
+            return this;
+        }
+        
+        // Integrate velocity and position (semi-implicit Euler)
+        integrate(deltaTime, gravity) {
+            this.previousPosition = { x: this.gameObject.x, y: this.gameObject.y };
+            if (this.type === 'static') return;
+            
+            if (this.type === 'dynamic') {
+                const inverseMass = this.getInverseMass();
+                this.velocity.x += (this.acceleration.x + gravity.x * this.gravityScale + this.force.x * inverseMass) * deltaTime;
+                this.velocity.y += (this.acceleration.y + gravity.y * this.gravityScale + this.force.y * inverseMass) * deltaTime;
+                
+                if (this.drag > 0) {
+                    const damping = 1 / (1 + this.drag * deltaTime);
+                    this.velocity.x *= damping;
+                    this.velocity.y *= damping;
+                }
+            }
+            
+            this.gameObject.x += this.velocity.x * deltaTime;
+            this.gameObject.y += this.velocity.y * deltaTime;
+            this.force.x = 0;
+            this.force.y = 0;
+        }
+    }
+    
+    // Push two colliding objects apart and exchange impulses along the contact normal
+    function resolveContact(colliderA, colliderB, contact, gravity) {
+        const bodyA = colliderA.gameObject.getComponent(Rigidbody);
+        const bodyB = colliderB.gameObject.getComponent(Rigidbody);
+        const inverseMassA = bodyA ? bodyA.getInverseMass() : 0;
+        const inverseMassB = bodyB ? bodyB.getInverseMass() : 0;
+        const inverseMassSum = inverseMassA + inverseMassB;
+        if (inverseMassSum === 0) return;
+        
+        const normal = contact.normal;
+        const objA = colliderA.gameObject;
+        const objB = colliderB.gameObject;
+        
+        // Positional correction (with a small slop to avoid jitter)
+        const correction = Math.max(contact.depth - 0.01, 0) / inverseMassSum * 0.8;
+        objA.x -= normal.x * correction * inverseMassA;
+        objA.y -= normal.y * correction * inverseMassA;
+        objB.x += normal.x * correction * inverseMassB;
+        objB.y += normal.y * correction * inverseMassB;
+        
+        // Ground contact: the normal pushing a body points against gravity
+        const gravityLength = Math.sqrt(gravity.x * gravity.x + gravity.y * gravity.y);
+        if (gravityLength > 0) {
+            const upDot = -(normal.x * gravity.x + normal.y * gravity.y) / gravityLength;
+            if (bodyB && upDot > 0.7) bodyB.isGrounded = true;
+            if (bodyA && upDot < -0.7) bodyA.isGrounded = true;
+        }
+        
+        // Relative velocity along the normal
+        const velocityA = bodyA ? bodyA.velocity : { x: 0, y: 0 };
+        const velocityB = bodyB ? bodyB.velocity : { x: 0, y: 0 };
+        const relativeX = velocityB.x - velocityA.x;
+        const relativeY = velocityB.y - velocityA.y;
+        const normalVelocity = relativeX * normal.x + relativeY * normal.y;
+        if (normalVelocity > 0) return;
+        
+        const restitution = Math.min(
+            bodyA ? bodyA.restitution : 1,
+            bodyB ? bodyB.restitution : 1
+        );
+        const impulse = -(1 + restitution) * normalVelocity / inverseMassSum;
+        velocityA.x -= normal.x * impulse * inverseMassA;
+        velocityA.y -= normal.y * impulse * inverseMassA;
+        velocityB.x += normal.x * impulse * inverseMassB;
+        velocityB.y += normal.y * impulse * inverseMassB;
+        
+        // Friction along the contact tangent (Coulomb model)
+        let tangentX = relativeX - normal.x * normalVelocity;
+        let tangentY = relativeY - normal.y * normalVelocity;
+        const tangentLength = Math.sqrt(tangentX * tangentX + tangentY * tangentY);
+        if (tangentLength === 0) return;
+        tangentX /= tangentLength;
+        tangentY /= tangentLength;
+        
+        const friction = Math.sqrt(
+            (bodyA ? bodyA.friction : bodyB.friction) *
+            (bodyB ? bodyB.friction : bodyA.friction)
+        );
+        const tangentImpulse = MathUtils.clamp(
+            -(relativeX * tangentX + relativeY * tangentY) / inverseMassSum,
+            -impulse * friction,
+            impulse * friction
+        );
+        velocityA.x -= tangentX * tangentImpulse * inverseMassA;
+        velocityA.y -= tangentY * tangentImpulse * inverseMassA;
+        velocityB.x += tangentX * tangentImpulse * inverseMassB;
+        velocityB.y += tangentY * tangentImpulse * inverseMassB;
+    }
+    
+    // Tiled stores flip flags in the top bits of each gid
+    const TILE_FLIPPED_HORIZONTALLY = 0x80000000;
+    const TILE_FLIPPED_VERTICALLY = 0x40000000;
+    const TILE_FLIPPED_DIAGONALLY = 0x20000000;
+    const TILE_GID_MASK = ~(TILE_FLIPPED_HORIZONTALLY | TILE_FLIPPED_VERTICALLY | TILE_FLIPPED_DIAGONALLY);
+    
+    // Convert a Tiled properties array ([{ name, type, value }]) to an object
+    function tiledProperties(properties) {
+        const result = {};
+        if (Array.isArray(properties)) {
+            for (const property of properties) {
+                result[property.name] = property.value;
+            }
+        } else if (properties) {
+            Object.assign(result, properties);
+        }
+        return result;
+    }
+    
+    // Decode Tiled layer data (array or uncompressed base64)
+    function decodeTiledData(layer) {
+        if (Array.isArray(layer.data)) {
+            return layer.data;
+        }
+        if (layer.compression) {
+            throw new Error(`Tilemap layer '${layer.name}' uses unsupported compression '${layer.compression}'`);
+        }
+        const bytes = atob(layer.data);
+        const data = [];
+        for (let i = 0; i < bytes.length; i += 4) {
+            data.push((bytes.charCodeAt(i) |
+                       bytes.charCodeAt(i + 1) << 8 |
+                       bytes.charCodeAt(i + 2) << 16 |
+                       bytes.charCodeAt(i + 3) << 24) >>> 0);
+        }
+        return data;
+    }
+    
+    // Tilemap component (tile layers drawn from tilesets, object layers for spawning)
+    class Tilemap {
+        constructor(tileWidth, tileHeight, width, height) {
+            this.tileWidth = tileWidth;
+            this.tileHeight = tileHeight;
+            // Size in tiles
+            this.width = width;
+            this.height = height;
+            this.tilesets = [];
+            this.layers = [];
+            this.objectLayers = [];
+            this.properties = {};
+            // Loaded tilemap this one was cloned from (serialized by its asset name)
+            this.source = null;
+        }
+        
+        // Copy for another game object. Tilesets and object layers are shared;
+        // tile layers get their own data, so setTile only changes the copy.
+        clone() {
+            const copy = new Tilemap(this.tileWidth, this.tileHeight, this.width, this.height);
+            copy.tilesets = this.tilesets.slice();
+            copy.layers = this.layers.map(layer => Object.assign({}, layer, { data: layer.data.slice() }));
+            copy.objectLayers = this.objectLayers.slice();
+            copy.properties = this.properties;
+            copy.source = this.source || this;
+            return copy;
+        }
+        
+        // Add a tileset image. Options: firstgid, columns, margin, spacing,
+        // tileWidth, tileHeight and tiles ({ localId: properties })
+        addTileset(image, options = {}) {
+            const tileWidth = options.tileWidth || this.tileWidth;
+            const tileHeight = options.tileHeight || this.tileHeight;
+            const margin = options.margin || 0;
+            const spacing = options.spacing || 0;
+            const columns = options.columns ||
+                Math.floor((image.width - margin * 2 + spacing) / (tileWidth + spacing));
+            
+            let firstgid = options.firstgid;
+            if (firstgid === undefined) {
+                const last = this.tilesets[this.tilesets.length - 1];
+                firstgid = last ? last.firstgid + last.tileCount : 1;
+            }
+            
+            const tileset = {
+                name: options.name || '',
+                image: image,
+                firstgid: firstgid,
+                tileWidth: tileWidth,
+                tileHeight: tileHeight,
+                margin: margin,
+                spacing: spacing,
+                columns: columns,
+                tileCount: options.tileCount ||
+                    columns * Math.floor((image.height - margin * 2 + spacing) / (tileHeight + spacing)),
+                tiles: options.tiles || {}
+            };
+            this.tilesets.push(tileset);
+            this.tilesets.sort((a, b) => a.firstgid - b.firstgid);
+            return tileset;
+        }
+        
+        // Add a tile layer (data is a row-major array of gids, 0 = empty)
+        addLayer(name, data, options = {}) {
+            const layer = {
+                name: name,
+                data: data || new Array(this.width * this.height).fill(0),
+                visible: options.visible !== undefined ? options.visible : true,
+                opacity: options.opacity !== undefined ? options.opacity : 1,
+                solid: options.solid || false,
+                properties: options.properties || {}
+            };
+            this.layers.push(layer);
+            
+            // Solid layers need the tilemap collider
+            if (layer.solid && this.gameObject && !this.gameObject.collider) {
+                this.gameObject.setCollider(TilemapCollider);
+            }
+            return layer;
+        }
+        
+        // Get a tile layer by name or index
+        getLayer(layer) {
+            if (typeof layer === 'string') {
+                return this.layers.find(l => l.name === layer);
+            }
+            return typeof layer === 'number' ? this.layers[layer] : layer;
+        }
+        
+        // Get an object layer by name
+        getObjectLayer(name) {
+            return this.objectLayers.find(layer => layer.name === name);
+        }
+        
+        // Get the gid (without flip flags) at a tile position
+        getTile(layer, column, row) {
+            const tileLayer = this.getLayer(layer);
+            if (!tileLayer || column < 0 || row < 0 || column >= this.width || row >= this.height) {
+                return 0;
+            }
+            return (tileLayer.data[row * this.width + column] & TILE_GID_MASK) >>> 0;
+        }
+        
+        // Set the gid at a tile position
+        setTile(layer, column, row, gid) {
+            const tileLayer = this.getLayer(layer);
+            if (tileLayer && column >= 0 && row >= 0 && column < this.width && row < this.height) {
+                tileLayer.data[row * this.width + column] = gid;
+            }
+            return this;
+        }
+        
+        // Find the tileset a gid belongs to
+        getTileset(gid) {
+            let result = null;
+            for (const tileset of this.tilesets) {
+                if (tileset.firstgid <= gid) {
+                    result = tileset;
+                } else {
+                    break;
+                }
+            }
+            return result;
+        }
+        
+        // Custom properties of a tile (empty object if none)
+        getTileProperties(gid) {
+            const tileset = this.getTileset(gid);
+            if (!tileset) return {};
+            return tileset.tiles[gid - tileset.firstgid] || {};
+        }
+        
+        // Check whether the tile at a position blocks movement
+        isSolid(column, row) {
+            for (const layer of this.layers) {
+                const gid = this.getTile(layer, column, row);
+                if (gid === 0) continue;
+                if (layer.solid || this.getTileProperties(gid).solid === true) {
+                    return true;
+                }
+            }
+            return false;
+        }
+        
+        // Check whether any layer or tile can block movement
+        hasSolidTiles() {
+            if (this.layers.some(layer => layer.solid)) return true;
+            return this.tilesets.some(tileset =>
+                Object.keys(tileset.tiles).some(id => tileset.tiles[id].solid === true)
+            );
+        }
+        
+        // Convert a world position to a tile column/row
+        worldToTile(x, y) {
+            const transform = this.gameObject.getWorldTransform();
+            return {
+                column: Math.floor((x - transform.x) / (this.tileWidth * transform.scaleX)),
+                row: Math.floor((y - transform.y) / (this.tileHeight * transform.scaleY))
+            };
+        }
+        
+        // World position of a tile's center
+        tileToWorld(column, row) {
+            return this.gameObject.localToWorld(
+                (column + 0.5) * this.tileWidth,
+                (row + 0.5) * this.tileHeight
+            );
+        }
+        
+        // Tile range covering a world-space rectangle (clamped to the map)
+        getTileRange(bounds) {
+            const start = this.worldToTile(bounds.x, bounds.y);
+            const end = this.worldToTile(bounds.x + bounds.width, bounds.y + bounds.height);
+            return {
+                startColumn: Math.max(start.column, 0),
+                startRow: Math.max(start.row, 0),
+                endColumn: Math.min(end.column, this.width - 1),
+                endRow: Math.min(end.row, this.height - 1)
+            };
+        }
+        
+        // Create game objects for the objects in the object layers. Factories are
+        // keyed by Tiled object type/class and get normalized object data
+        // (x/y are the world center) and return a GameObject or nothing.
+        spawnObjects(scene, factories) {
+            const spawned = [];
+            for (const layer of this.objectLayers) {
+                for (const object of layer.objects) {
+                    const factory = factories[object.type];
+                    if (!factory) continue;
+                    
+                    const center = this.gameObject.localToWorld(object.x, object.y);
+                    const gameObject = factory(Object.assign({}, object, { x: center.x, y: center.y, layer: layer.name }), this);
+                    if (gameObject) {
+                        scene.add(gameObject);
+                        spawned.push(gameObject);
+                    }
+                }
+            }
+            return spawned;
+        }
+        
+        start() {
+            if (!this.gameObject.collider && this.hasSolidTiles()) {
+                this.gameObject.setCollider(TilemapCollider);
+            }
+        }
+        
+        // Draw the visible part of every visible layer
+        draw(ctx) {
+            let range = {
+                startColumn: 0,
+                startRow: 0,
+                endColumn: this.width - 1,
+                endRow: this.height - 1
+            };
+            const scene = this.gameObject.scene;
+            if (scene && !this.gameObject.screenSpace && somvas.canvas) {
+                range = this.getTileRange(scene.camera.getViewBounds());
+            }
+            
+            for (const layer of this.layers) {
+                if (!layer.visible) continue;
+                ctx.globalAlpha = layer.opacity;
+                
+                for (let row = range.startRow; row <= range.endRow; row++) {
+                    for (let column = range.startColumn; column <= range.endColumn; column++) {
+                        const rawGid = layer.data[row * this.width + column];
+                        if (!rawGid) continue;
+                        this.drawTile(ctx, rawGid, column * this.tileWidth, row * this.tileHeight);
+                    }
+                }
+            }
+            ctx.globalAlpha = 1;
+        }
+        
+        // Draw one tile (with Tiled flip flags) at a local position
+        drawTile(ctx, rawGid, x, y) {
+            const gid = (rawGid & TILE_GID_MASK) >>> 0;
+            const tileset = this.getTileset(gid);
+            if (!tileset) return;
+            
+            const localId = gid - tileset.firstgid;
+            const sourceX = tileset.margin + (localId % tileset.columns) * (tileset.tileWidth + tileset.spacing);
+            const sourceY = tileset.margin + Math.floor(localId / tileset.columns) * (tileset.tileHeight + tileset.spacing);
+            // Tiles taller than the grid are anchored at the bottom of their cell
+            const drawY = y + this.tileHeight - tileset.tileHeight;
+            
+            const flipX = (rawGid & TILE_FLIPPED_HORIZONTALLY) !== 0;
+            const flipY = (rawGid & TILE_FLIPPED_VERTICALLY) !== 0;
+            if (flipX || flipY) {
+                ctx.save();
+                ctx.translate(x + tileset.tileWidth / 2, drawY + tileset.tileHeight / 2);
+                ctx.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+                ctx.drawImage(
+                    tileset.image,
+                    sourceX, sourceY, tileset.tileWidth, tileset.tileHeight,
+                    -tileset.tileWidth / 2, -tileset.tileHeight / 2, tileset.tileWidth, tileset.tileHeight
+                );
+                ctx.restore();
+            } else {
+                ctx.drawImage(
+                    tileset.image,
+                    sourceX, sourceY, tileset.tileWidth, tileset.tileHeight,
+                    x, drawY, tileset.tileWidth, tileset.tileHeight
+                );
+            }
+        }
+        
+        // Local-space area covered by the map
+        getLocalBounds() {
+            return { x: 0, y: 0, width: this.width * this.tileWidth, height: this.height * this.tileHeight };
+        }
+        
+        // Build a tilemap from Tiled JSON (.tmj). Images are keyed by tileset
+        // name or image path; external tilesets must already be merged in.
+        static fromTiled(data, images) {
+            if (data.orientation && data.orientation !== 'orthogonal') {
+                throw new Error(`Tilemap orientation '${data.orientation}' is not supported`);
+            }
+            
+            const tilemap = new Tilemap(data.tilewidth, data.tileheight, data.width, data.height);
+            tilemap.properties = tiledProperties(data.properties);
+            
+            for (const tileset of data.tilesets) {
+                const image = images[tileset.name] || images[tileset.image];
+                if (!image) {
+                    throw new Error(`Missing image for tileset '${tileset.name}'`);
+                }
+                
+                const tiles = {};
+                for (const tile of tileset.tiles || []) {
+                    tiles[tile.id] = tiledProperties(tile.properties);
+                }
+                
+                tilemap.addTileset(image, {
+                    name: tileset.name,
+                    firstgid: tileset.firstgid,
+                    tileWidth: tileset.tilewidth,
+                    tileHeight: tileset.tileheight,
+                    margin: tileset.margin,
+                    spacing: tileset.spacing,
+                    columns: tileset.columns,
+                    tileCount: tileset.tilecount,
+                    tiles: tiles
+                });
+            }
+            
+            // Group layers are flattened in draw order
+            const addLayers = (layers) => {
+                for (const layer of layers) {
+                    const properties = tiledProperties(layer.properties);
+                    if (layer.type === 'tilelayer') {
+                        tilemap.addLayer(layer.name, decodeTiledData(layer), {
+                            visible: layer.visible,
+                            opacity: layer.opacity,
+                            solid: properties.solid === true,
+                            properties: properties
+                        });
+                    } else if (layer.type === 'objectgroup') {
+                        tilemap.objectLayers.push({
+                            name: layer.name,
+                            properties: properties,
+                            objects: layer.objects.map(object => {
+                                const width = object.width || 0;
+                                const height = object.height || 0;
+                                // Tile objects are anchored bottom-left, others top-left
+                                const top = object.gid ? object.y - height : object.y;
+                                return {
+                                    id: object.id,
+                                    name: object.name,
+                                    type: object.type || object.class || '',
+                                    x: object.x + width / 2,
+                                    y: top + height / 2,
+                                    width: width,
+                                    height: height,
+                                    rotation: (object.rotation || 0) * Math.PI / 180,
+                                    gid: object.gid ? (object.gid & TILE_GID_MASK) >>> 0 : 0,
+                                    polygon: object.polygon || null,
+                                    point: object.point || false,
+                                    ellipse: object.ellipse || false,
+                                    properties: tiledProperties(object.properties)
+                                };
+                            })
+                        });
+                    } else if (layer.type === 'group') {
+                        addLayers(layer.layers);
+                    }
+                }
+            };
+            addLayers(data.layers);
+            
+            return tilemap;
+        }
+    }
+    
+    // Collider for the solid tiles of a Tilemap on the same game object.
+    // Each overlapping solid tile is tested as a static box.
+    class TilemapCollider extends Collider {
+        constructor(gameObject) {
+            super(gameObject);
+            // Produces several contacts per pair
+            this.compound = true;
+            this.probe = null;
+        }
+        
+        getTilemap() {
+            return this.gameObject.getComponent(Tilemap);
+        }
+        
+        getBounds() {
+            const tilemap = this.getTilemap();
+            if (!tilemap) return super.getBounds();
+            const local = tilemap.getLocalBounds();
+            return boundsOfPoints([
+                this.gameObject.localToWorld(local.x, local.y),
+                this.gameObject.localToWorld(local.x + local.width, local.y + local.height)
+            ]);
+        }
+        
+        // Call back with the contact of each solid tile touching the other collider
+        // (the normal points from the tile to the other collider)
+        forEachContact(other, callback) {
+            const tilemap = this.getTilemap();
+            if (!tilemap || other.compound) return;
+            
+            const probe = this.getProbe(tilemap);
+            const range = tilemap.getTileRange(other.getBounds());
+            for (let row = range.startRow; row <= range.endRow; row++) {
+                for (let column = range.startColumn; column <= range.endColumn; column++) {
+                    if (!tilemap.isSolid(column, row)) continue;
+                    
+                    const center = tilemap.tileToWorld(column, row);
+                    probe.x = center.x;
+                    probe.y = center.y;
+                    const contact = probe.collider.getContact(other);
+                    if (!contact) continue;
+                    
+                    // Skip faces shared with a neighbouring solid tile so objects
+                    // don't catch on the seams between tiles
+                    const normal = contact.normal;
+                    const stepX = Math.abs(normal.x) >= Math.abs(normal.y) ? Math.sign(normal.x) : 0;
+                    const stepY = stepX === 0 ? Math.sign(normal.y) : 0;
+                    if (tilemap.isSolid(column + stepX, row + stepY)) continue;
+                    
+                    callback(contact);
+                }
+            }
+        }
+        
+        // Detached object used to test each tile as a box
+        getProbe(tilemap) {
+            if (!this.probe) {
+                this.probe = new GameObject(0, 0);
+                this.probe.setCollider(BoxCollider, tilemap.tileWidth, tilemap.tileHeight);
+            }
+            const transform = this.gameObject.getWorldTransform();
+            this.probe.scaleX = transform.scaleX;
+            this.probe.scaleY = transform.scaleY;
+            return this.probe;
+        }
+        
+        // Check whether any solid tile overlaps the other collider (unlike the
+        // contacts, faces shared by solid tiles count)
+        overlaps(other) {
+            const tilemap = this.getTilemap();
+            if (!tilemap) return false;
+            
+            const probe = this.getProbe(tilemap);
+            const range = tilemap.getTileRange(other.getBounds());
+            for (let row = range.startRow; row <= range.endRow; row++) {
+                for (let column = range.startColumn; column <= range.endColumn; column++) {
+                    if (!tilemap.isSolid(column, row)) continue;
+                    const center = tilemap.tileToWorld(column, row);
+                    probe.x = center.x;
+                    probe.y = center.y;
+                    if (probe.collider.getContact(other)) return true;
+                }
+            }
+            return false;
+        }
+        
+        // First solid tile contact with the other collider
+        getContact(other) {
+            let first = null;
+            this.forEachContact(other, contact => {
+                if (!first) first = contact;
+            });
+            return first;
+        }
+        
+        // Only solid tiles count as hits
+        containsPoint(x, y) {
+            const tilemap = this.getTilemap();
+            if (!tilemap) return false;
+            const tile = tilemap.worldToTile(x, y);
+            return tilemap.isSolid(tile.column, tile.row);
+        }
+        
+        // First solid tile along a ray, walking the grid cell by cell (tilemaps
+        // aren't rotated, see Tilemap.worldToTile)
+        raycast(origin, direction, maxDistance = Infinity) {
+            const tilemap = this.getTilemap();
+            if (!tilemap) return null;
+            const transform = this.gameObject.getWorldTransform();
+            const cellWidth = tilemap.tileWidth * transform.scaleX;
+            const cellHeight = tilemap.tileHeight * transform.scaleY;
+            
+            const start = tilemap.worldToTile(origin.x, origin.y);
+            let column = start.column;
+            let row = start.row;
+            if (tilemap.isSolid(column, row)) return null;
+            
+            const stepX = Math.sign(direction.x);
+            const stepY = Math.sign(direction.y);
+            // Distance along the ray to the next column/row line, and between lines
+            let nextX = stepX === 0 ? Infinity :
+                (transform.x + (column + (stepX > 0 ? 1 : 0)) * cellWidth - origin.x) / direction.x;
+            let nextY = stepY === 0 ? Infinity :
+                (transform.y + (row + (stepY > 0 ? 1 : 0)) * cellHeight - origin.y) / direction.y;
+            const deltaX = stepX === 0 ? Infinity : cellWidth / Math.abs(direction.x);
+            const deltaY = stepY === 0 ? Infinity : cellHeight / Math.abs(direction.y);
+            
+            while (true) {
+                let distance;
+                let normal;
+                if (nextX < nextY) {
+                    column += stepX;
+                    distance = nextX;
+                    nextX += deltaX;
+                    normal = new Vector2(-stepX, 0);
+                } else {
+                    row += stepY;
+                    distance = nextY;
+                    nextY += deltaY;
+                    normal = new Vector2(0, -stepY);
+                }
+                if (distance > maxDistance) return null;
+                
+                // Stop once the ray has left the map for good
+                if ((column < 0 && stepX <= 0) || (column >= tilemap.width && stepX >= 0) ||
+                    (row < 0 && stepY <= 0) || (row >= tilemap.height && stepY >= 0)) {
+                    return null;
+                }
+                if (tilemap.isSolid(column, row)) {
+                    return {
+                        point: new Vector2(origin.x + direction.x * distance, origin.y + direction.y * distance),
+                        normal: normal,
+                        distance: distance
+                    };
+                }
+            }
+        }
+        
+        // Outline the solid tiles
+        draw(ctx) {
+            const tilemap = this.getTilemap();
+            if (!tilemap) return;
+            
+            const scene = this.gameObject.scene;
+            const range = scene ?
+                tilemap.getTileRange(scene.camera.getViewBounds()) :
+                tilemap.getTileRange(this.getBounds());
+            ctx.strokeStyle = 'red';
+            ctx.lineWidth = 1;
+            for (let row = range.startRow; row <= range.endRow; row++) {
+                for (let column = range.startColumn; column <= range.endColumn; column++) {
+                    if (!tilemap.isSolid(column, row)) continue;
+                    const topLeft = this.gameObject.localToWorld(column * tilemap.tileWidth, row * tilemap.tileHeight);
+                    const transform = this.gameObject.getWorldTransform();
+                    ctx.strokeRect(
+                        topLeft.x,
+                        topLeft.y,
+                        tilemap.tileWidth * transform.scaleX,
+                        tilemap.tileHeight * transform.scaleY
+                    );
+                }
+            }
+        }
+    }
+    
+    // Camera (scroll, zoom, rotation, follow and shake for a scene)
+    class Camera {
+        constructor() {
+            // World position of the view's top-left corner at zoom 1;
+            // zoom and rotation pivot around the view center
+            this.x = 0;
+            this.y = 0;
+            this.zoom = 1;
+            this.rotation = 0;
+            
+            // Follow settings
+            this.target = null;
+            this.lerp = 1;
+            this.deadzone = { width: 0, height: 0 };
+            this.followOffset = { x: 0, y: 0 };
+            
+            // World area the view is kept inside ({ x, y, width, height } or null)
+            this.bounds = null;
+            
+            // Skip drawing objects outside the view
+            this.culling = true;
+            
+            // Screen shake state
+            this.shakeIntensity = 0;
+            this.shakeDuration = 0;
+            this.shakeTime = 0;
+            this.shakeOffset = { x: 0, y: 0 };
+        }
+        
+        // Size of the area the camera renders to (the design resolution)
+        getViewportSize() {
+            return { width: somvas.width, height: somvas.height };
+        }
+        
+        // World point at the center of the view
+        getCenter() {
+            const viewport = this.getViewportSize();
+            return { x: this.x + viewport.width / 2, y: this.y + viewport.height / 2 };
+        }
+        
+        // Move the camera so the given world point is at the center of the view
+        centerOn(x, y) {
+            const viewport = this.getViewportSize();
+            this.x = x - viewport.width / 2;
+            this.y = y - viewport.height / 2;
+            this.clampToBounds();
+            return this;
+        }
+        
+        // Smoothly follow a game object
+        follow(target, options = {}) {
+            this.target = target;
+            this.lerp = options.lerp !== undefined ? options.lerp : 1;
+            this.deadzone.width = options.deadzoneWidth || 0;
+            this.deadzone.height = options.deadzoneHeight || 0;
+            this.followOffset.x = options.offsetX || 0;
+            this.followOffset.y = options.offsetY || 0;
+            return this;
+        }
+        
+        // Stop following the current target
+        stopFollow() {
+            this.target = null;
+            return this;
+        }
+        
+        // Keep the view inside a world rectangle (pass null to remove)
+        setBounds(x, y, width, height) {
+            this.bounds = x === null ? null : { x: x, y: y, width: width, height: height };
+            this.clampToBounds();
+            return this;
+        }
+        
+        // Shake the view by up to intensity pixels for duration seconds
+        shake(intensity, duration) {
+            this.shakeIntensity = intensity;
+            this.shakeDuration = duration;
+            this.shakeTime = duration;
+            return this;
+        }
+        
+        // Update follow, bounds and shake
+        update(deltaTime) {
+            if (this.target) {
+                const viewport = this.getViewportSize();
+                const center = this.getCenter();
+                const targetPosition = this.target.getWorldTransform();
+                const targetX = targetPosition.x + this.followOffset.x;
+                const targetY = targetPosition.y + this.followOffset.y;
+                const halfDeadzoneWidth = this.deadzone.width / 2;
+                const halfDeadzoneHeight = this.deadzone.height / 2;
+                
+                // Only move when the target leaves the deadzone
+                let desiredX = center.x;
+                let desiredY = center.y;
+                if (targetX < center.x - halfDeadzoneWidth) {
+                    desiredX = targetX + halfDeadzoneWidth;
+                } else if (targetX > center.x + halfDeadzoneWidth) {
+                    desiredX = targetX - halfDeadzoneWidth;
+                }
+                if (targetY < center.y - halfDeadzoneHeight) {
+                    desiredY = targetY + halfDeadzoneHeight;
+                } else if (targetY > center.y + halfDeadzoneHeight) {
+                    desiredY = targetY - halfDeadzoneHeight;
+                }
+                
+                // Frame-rate independent smoothing (lerp is the fraction per 60Hz frame)
+                const t = this.lerp >= 1 ? 1 : 1 - Math.pow(1 - this.lerp, deltaTime * 60);
+                this.x = MathUtils.lerp(center.x, desiredX, t) - viewport.width / 2;
+                this.y = MathUtils.lerp(center.y, desiredY, t) - viewport.height / 2;
+            }
+            
+            this.clampToBounds();
+            
+            if (this.shakeTime > 0) {
+                this.shakeTime = Math.max(this.shakeTime - deltaTime, 0);
+                const strength = this.shakeIntensity * (this.shakeTime / this.shakeDuration);
+                this.shakeOffset.x = MathUtils.random(-1, 1) * strength;
+                this.shakeOffset.y = MathUtils.random(-1, 1) * strength;
+            } else {
+                this.shakeOffset.x = 0;
+                this.shakeOffset.y = 0;
+            }
+        }
+        
+        // Keep the visible area inside the bounds (centered if the bounds are smaller)
+        clampToBounds() {
+            if (!this.bounds) return;
+            
+            const viewport = this.getViewportSize();
+            const halfWidth = viewport.width / 2 / this.zoom;
+            const halfHeight = viewport.height / 2 / this.zoom;
+            const center = this.getCenter();
+            
+            let centerX;
+            let centerY;
+            if (this.bounds.width <= halfWidth * 2) {
+                centerX = this.bounds.x + this.bounds.width / 2;
+            } else {
+                centerX = MathUtils.clamp(center.x, this.bounds.x + halfWidth, this.bounds.x + this.bounds.width - halfWidth);
+            }
+            if (this.bounds.height <= halfHeight * 2) {
+                centerY = this.bounds.y + this.bounds.height / 2;
+            } else {
+                centerY = MathUtils.clamp(center.y, this.bounds.y + halfHeight, this.bounds.y + this.bounds.height - halfHeight);
+            }
+            
+            this.x = centerX - viewport.width / 2;
+            this.y = centerY - viewport.height / 2;
+        }
+        
+        // Apply the camera transform to a context
+        apply(ctx) {
+            const viewport = this.getViewportSize();
+            const center = this.getCenter();
+            ctx.translate(viewport.width / 2, viewport.height / 2);
+            ctx.scale(this.zoom, this.zoom);
+            ctx.rotate(-this.rotation);
+            ctx.translate(-(center.x + this.shakeOffset.x), -(center.y + this.shakeOffset.y));
+        }
+        
+        // Convert a world point to screen (canvas) coordinates
+        worldToScreen(x, y) {
+            const viewport = this.getViewportSize();
+            const center = this.getCenter();
+            const relX = x - center.x - this.shakeOffset.x;
+            const relY = y - center.y - this.shakeOffset.y;
+            const cos = Math.cos(-this.rotation);
+            const sin = Math.sin(-this.rotation);
+            return {
+                x: (relX * cos - relY * sin) * this.zoom + viewport.width / 2,
+                y: (relX * sin + relY * cos) * this.zoom + viewport.height / 2
+            };
+        }
+        
+        // Convert a screen (canvas) point to world coordinates
+        screenToWorld(x, y) {
+            const viewport = this.getViewportSize();
+            const center = this.getCenter();
+            const relX = (x - viewport.width / 2) / this.zoom;
+            const relY = (y - viewport.height / 2) / this.zoom;
+            const cos = Math.cos(this.rotation);
+            const sin = Math.sin(this.rotation);
+            return {
+                x: relX * cos - relY * sin + center.x + this.shakeOffset.x,
+                y: relX * sin + relY * cos + center.y + this.shakeOffset.y
+            };
+        }
+        
+        // World-space bounding box of the visible area
+        getViewBounds() {
+            const viewport = this.getViewportSize();
+            return boundsOfPoints([
+                this.screenToWorld(0, 0),
+                this.screenToWorld(viewport.width, 0),
+                this.screenToWorld(viewport.width, viewport.height),
+                this.screenToWorld(0, viewport.height)
+            ]);
+        }
+        
+        // Check whether world-space bounds overlap the visible area
+        isVisible(bounds) {
+            const view = this.getViewBounds();
+            return bounds.x <= view.x + view.width &&
+                   bounds.x + bounds.width >= view.x &&
+                   bounds.y <= view.y + view.height &&
+                   bounds.y + bounds.height >= view.y;
+        }
+    }
+    
+    // Spatial hash grid used as the collision broad phase
+    class SpatialHash {
+        constructor(cellSize = 128) {
+            this.cellSize = cellSize;
+            this.cells = new Map();
+        }
+        
+        // Remove all items from the grid
+        clear() {
+            this.cells.clear();
+        }
+        
+        // Insert an item covering the given bounds
+        insert(item, bounds) {
+            const minX = Math.floor(bounds.x / this.cellSize);
+            const minY = Math.floor(bounds.y / this.cellSize);
+            const maxX = Math.floor((bounds.x + bounds.width) / this.cellSize);
+            const maxY = Math.floor((bounds.y + bounds.height) / this.cellSize);
+            
+            for (let cx = minX; cx <= maxX; cx++) {
+                for (let cy = minY; cy <= maxY; cy++) {
+                    const key = cx + ',' + cy;
+                    let cell = this.cells.get(key);
+                    if (!cell) {
+                        cell = [];
+                        this.cells.set(key, cell);
+                    }
+                    cell.push(item);
+                }
+            }
+        }
+        
+        // Get all items in cells touched by the given bounds
+        query(bounds) {
+            const result = new Set();
+            const minX = Math.floor(bounds.x / this.cellSize);
+            const minY = Math.floor(bounds.y / this.cellSize);
+            const maxX = Math.floor((bounds.x + bounds.width) / this.cellSize);
+            const maxY = Math.floor((bounds.y + bounds.height) / this.cellSize);
+            
+            for (let cx = minX; cx <= maxX; cx++) {
+                for (let cy = minY; cy <= maxY; cy++) {
+                    const cell = this.cells.get(cx + ',' + cy);
+                    if (cell) {
+                        for (const item of cell) {
+                            result.add(item);
+                        }
+                    }
+                }
+            }
+            return result;
+        }
+        
+        // Get each pair of items sharing at least one cell (once per pair)
+        getPotentialPairs() {
+            const pairs = [];
+            const seen = new Set();
+            for (const cell of this.cells.values()) {
+                for (let i = 0; i < cell.length; i++) {
+                    for (let j = i + 1; j < cell.length; j++) {
+                        const key = pairKey(cell[i], cell[j]);
+                        if (!seen.has(key)) {
+                            seen.add(key);
+                            pairs.push([cell[i], cell[j]]);
+                        }
+                    }
+                }
+            }
+            return pairs;
+        }
+    }
+    
+    // Order-independent key for a pair of colliders
+    function pairKey(a, b) {
+        const idA = a.gameObject.id;
+        const idB = b.gameObject.id;
+        return idA < idB ? idA + ':' + idB : idB + ':' + idA;
+    }
+    
+    // Check whether an object is the ancestor itself or one of its descendants
+    function isSelfOrDescendant(gameObject, ancestor) {
+        for (let current = gameObject; current; current = current.parent) {
+            if (current === ancestor) return true;
+        }
+        return false;
+    }
+    
+    // Events scenes emit for their lifecycle hooks
+    const SCENE_HOOK_EVENTS = {
+        onLoad: 'load',
+        onEnter: 'enter',
+        onExit: 'exit',
+        onPause: 'pause',
+        onResume: 'resume'
+    };
+    
+    // Scene class
+    class Scene {
+        constructor(name) {
+            this.name = name;
+            this.gameObjects = [];
+            this.background = null;
+            this.camera = new Camera();
+            // Opaque scenes hide the scenes below them in the scene stack
+            this.opaque = false;
+            // Set once onLoad has run
+            this.loaded = false;
+            // Params passed to the last onEnter
+            this.params = null;
+            
+            // Gravity applied to dynamic rigidbodies (pixels per second squared)
+            this.gravity = { x: 0, y: 0 };
+            
+            // Collision detection (broad phase grid and pairs touching last frame)
+            this.collisionDetection = true;
+            this.spatialHash = new SpatialHash(128);
+            this.collisions = new Map();
+            
+            // Pointer state by pointer id ('mouse' or touch identifier), and how far
+            // (in screen pixels) a pressed pointer moves before it starts a drag
+            this.pointers = new Map();
+            this.dragThreshold = 5;
+            
+            // Objects added while the scene updates join at the end of the update
+            this.updating = false;
+            this.pendingAdds = [];
+        }
+        
+        // Call a lifecycle hook (onLoad, onEnter, onExit, onPause, onResume) if defined
+        callHook(name, ...args) {
+            if (typeof this[name] === 'function') {
+                this[name](...args);
+            }
+            // Also emitted as an event: onEnter -> 'enter'
+            const event = SCENE_HOOK_EVENTS[name];
+            if (event) {
+                this.emit(event, args[0]);
+            }
+        }
+        
+        // Become active: onLoad the first time, then onEnter(params)
+        enter(params) {
+            this.params = params !== undefined ? params : null;
+            if (!this.loaded) {
+                this.loaded = true;
+                this.callHook('onLoad');
+            }
+            this.callHook('onEnter', this.params);
+        }
+        
+        // Add a game object (and its children) to the scene (deferred to the end
+        // of the update when called during one)
+        add(gameObject) {
+            if (this.updating) {
+                if (!this.pendingAdds.includes(gameObject)) {
+                    this.pendingAdds.push(gameObject);
+                }
+                return gameObject;
+            }
+            detach(gameObject);
+            this.gameObjects.push(gameObject);
+            assignScene(gameObject, this);
+            // Sort objects by layer after adding
+            this.sortObjectsByLayer();
+            return gameObject;
+        }
+        
+        // Remove a game object (and its children) from the scene
+        remove(gameObject) {
+            const pending = this.pendingAdds.indexOf(gameObject);
+            if (pending !== -1) {
+                this.pendingAdds.splice(pending, 1);
+            }
+            if (gameObject.parent && gameObject.scene === this) {
+                gameObject.parent.removeChild(gameObject);
+                return;
+            }
+            
+            const index = this.gameObjects.indexOf(gameObject);
+            if (index !== -1) {
+                this.gameObjects.splice(index, 1);
+                assignScene(gameObject, null);
+            }
+        }
+        
+        // Get every object in the scene, children included (depth first)
+        getAllObjects() {
+            const objects = [];
+            for (const gameObject of this.gameObjects) {
+                gameObject.traverse(object => objects.push(object));
+            }
+            return objects;
+        }
+        
+        // Get active objects, skipping the children of inactive ones (and objects
+        // waiting to be destroyed)
+        getActiveObjects() {
+            const objects = [];
+            const visit = (object) => {
+                if (!object.active || object.destroyed) return;
+                objects.push(object);
+                object.children.forEach(visit);
+            };
+            this.gameObjects.forEach(visit);
+            return objects;
+        }
+        
+        // Get visible (and active) objects, skipping the children of hidden objects
+        getVisibleObjects() {
+            const objects = [];
+            const visit = (object) => {
+                if (!object.visible || !object.active) return;
+                objects.push(object);
+                object.children.forEach(visit);
+            };
+            this.gameObjects.forEach(visit);
+            return objects;
+        }
+        
+        // Find game objects by tag (searches the whole hierarchy)
+        find(tag) {
+            return this.getAllObjects().filter(obj => obj.tag === tag);
+        }
+        
+        // Find first game object by tag (searches the whole hierarchy)
+        findOne(tag) {
+            return this.getAllObjects().find(obj => obj.tag === tag);
+        }
+        
+        // Sort game objects by layer (z-index)
+        sortObjectsByLayer() {
+            this.gameObjects.sort((a, b) => a.layer - b.layer);
+        }
+        
+        // Describe the scene settings, camera and objects as JSON data
+        toJSON() {
+            const camera = this.camera;
+            return {
+                name: this.name,
+                background: this.background,
+                opaque: this.opaque,
+                gravity: { x: this.gravity.x, y: this.gravity.y },
+                collisionDetection: this.collisionDetection,
+                camera: {
+                    x: camera.x,
+                    y: camera.y,
+                    zoom: camera.zoom,
+                    rotation: camera.rotation,
+                    lerp: camera.lerp,
+                    deadzone: camera.deadzone,
+                    followOffset: camera.followOffset,
+                    bounds: camera.bounds,
+                    culling: camera.culling
+                },
+                gameObjects: this.gameObjects.map(gameObject => gameObject.toJSON())
+            };
+        }
+        
+        // Build a scene from JSON data (not registered with the engine; see Somvas.loadScene)
+        static fromJSON(data) {
+            const scene = new Scene(data.name);
+            for (const key of ['background', 'opaque', 'collisionDetection']) {
+                if (data[key] !== undefined) {
+                    scene[key] = data[key];
+                }
+            }
+            if (data.gravity) {
+                scene.gravity = { x: data.gravity.x || 0, y: data.gravity.y || 0 };
+            }
+            Object.assign(scene.camera, data.camera || {});
+            for (const objectData of data.gameObjects || []) {
+                scene.add(GameObject.fromJSON(objectData));
+            }
+            return scene;
+        }
+        
+        // Update all game objects in the scene (physics runs here unless the
+        // engine uses a fixed timestep)
+        update(deltaTime) {
+            this.updatePointers();
+            UI.update(this);
+            
+            this.updating = true;
+            for (const gameObject of this.gameObjects.slice()) {
+                gameObject.update(deltaTime);
+            }
+            
+            if (!somvas.fixedTimeStep) {
+                this.stepPhysics(deltaTime);
+            }
+            this.updating = false;
+            this.flushAdds();
+            
+            this.camera.update(deltaTime);
+        }
+        
+        // Run one fixed timestep: fixedUpdate on all objects, then physics
+        fixedUpdate(deltaTime) {
+            this.updating = true;
+            for (const gameObject of this.gameObjects.slice()) {
+                gameObject.fixedUpdate(deltaTime);
+            }
+            
+            this.stepPhysics(deltaTime);
+            this.updating = false;
+            this.flushAdds();
+        }
+        
+        // Add the objects that were added during the update
+        flushAdds() {
+            const added = this.pendingAdds;
+            this.pendingAdds = [];
+            for (const gameObject of added) {
+                // (skipping objects destroyed in the same update)
+                if (!gameObject.destroyed) {
+                    this.add(gameObject);
+                }
+            }
+        }
+        
+        // Integrate rigidbodies and detect collisions
+        stepPhysics(deltaTime) {
+            this.integrateBodies(deltaTime);
+            
+            if (this.collisionDetection) {
+                this.detectCollisions();
+            }
+        }
+        
+        // Move every rigidbody in the scene by its velocity
+        integrateBodies(deltaTime) {
+            for (const gameObject of this.getActiveObjects()) {
+                const body = gameObject.getComponent(Rigidbody);
+                if (body) {
+                    body.isGrounded = false;
+                    body.integrate(deltaTime, this.gravity);
+                }
+            }
+        }
+        
+        // Find colliding pairs, resolve rigidbody contacts and send
+        // onCollisionEnter/Stay/Exit messages
+        detectCollisions() {
+            const hash = this.spatialHash;
+            hash.clear();
+            
+            // Broad phase: bucket every collider into the grid
+            for (const gameObject of this.getActiveObjects()) {
+                if (gameObject.collider) {
+                    hash.insert(gameObject.collider, gameObject.collider.getBounds());
+                }
+            }
+            
+            // Narrow phase: run the collider tests on candidate pairs
+            const current = new Map();
+            for (let [a, b] of hash.getPotentialPairs()) {
+                if (!a.canCollideWith(b)) continue;
+                // Compound colliders (tilemaps) drive the test
+                if (b.compound) {
+                    [a, b] = [b, a];
+                }
+                
+                let touching = false;
+                a.forEachContact(b, contact => {
+                    touching = true;
+                    if (!a.isTrigger && !b.isTrigger) {
+                        resolveContact(a, b, contact, this.gravity);
+                    }
+                });
+                if (touching) {
+                    current.set(pairKey(a, b), [a.gameObject, b.gameObject]);
+                }
+            }
+            
+            const previous = this.collisions;
+            this.collisions = current;
+            
+            for (const [key, [objA, objB]] of current) {
+                const message = previous.has(key) ? 'onCollisionStay' : 'onCollisionEnter';
+                objA.sendMessage(message, objB);
+                objB.sendMessage(message, objA);
+                const event = message === 'onCollisionStay' ? 'collisionStay' : 'collisionEnter';
+                objA.emit(event, { other: objB });
+                objB.emit(event, { other: objA });
+            }
+            
+            for (const [key, [objA, objB]] of previous) {
+                if (!current.has(key)) {
+                    objA.sendMessage('onCollisionExit', objB);
+                    objB.sendMessage('onCollisionExit', objA);
+                    objA.emit('collisionExit', { other: objB });
+                    objB.emit('collisionExit', { other: objA });
+                }
+            }
+        }
+        
+        // Active objects with a collider on the mask's layers
+        getQueryColliders(mask) {
+            return this.getActiveObjects()
+                .map(gameObject => gameObject.collider)
+                .filter(collider => collider && (collider.collisionLayer & mask) !== 0);
+        }
+        
+        // Every collider a ray hits within maxDistance, nearest first. Hits are
+        // { gameObject, collider, point, normal, distance }; rays starting inside a
+        // collider don't hit it (so a caster's own collider is skipped).
+        raycastAll(origin, direction, maxDistance = Infinity, mask = ~0) {
+            const unit = Vector2.from(direction).normalize();
+            if (unit.lengthSquared() === 0) return [];
+            
+            // Skip colliders whose bounds the ray can't reach
+            const reach = isFinite(maxDistance) ? boundsOfPoints([
+                origin,
+                { x: origin.x + unit.x * maxDistance, y: origin.y + unit.y * maxDistance }
+            ]) : null;
+            
+            const hits = [];
+            for (const collider of this.getQueryColliders(mask)) {
+                if (reach && !collider.compound && !boundsOverlap(reach, collider.getBounds())) continue;
+                const hit = collider.raycast(origin, unit, maxDistance);
+                if (hit) {
+                    hit.gameObject = collider.gameObject;
+                    hit.collider = collider;
+                    hits.push(hit);
+                }
+            }
+            return hits.sort((a, b) => a.distance - b.distance);
+        }
+        
+        // Nearest collider a ray hits (see raycastAll), or null
+        raycast(origin, direction, maxDistance = Infinity, mask = ~0) {
+            return this.raycastAll(origin, direction, maxDistance, mask)[0] || null;
+        }
+        
+        // Objects whose collider contains a world point, nearest center first
+        queryPoint(point, mask = ~0) {
+            const colliders = this.getQueryColliders(mask).filter(collider => collider.containsPoint(point.x, point.y));
+            return sortByDistance(colliders, point);
+        }
+        
+        // Objects whose collider overlaps a world rectangle ({ x, y, width, height }),
+        // nearest center first
+        queryRect(rect, mask = ~0) {
+            const center = { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+            const probe = new GameObject(center.x, center.y);
+            probe.setCollider(BoxCollider, rect.width, rect.height);
+            return this.queryShape(probe.collider, center, mask);
+        }
+        
+        // Objects whose collider overlaps a world circle, nearest center first
+        queryCircle(center, radius, mask = ~0) {
+            const probe = new GameObject(center.x, center.y);
+            probe.setCollider(CircleCollider, radius);
+            return this.queryShape(probe.collider, center, mask);
+        }
+        
+        // Objects whose collider overlaps a query collider
+        queryShape(shape, center, mask) {
+            const bounds = shape.getBounds();
+            const colliders = this.getQueryColliders(mask).filter(collider =>
+                (collider.compound || boundsOverlap(bounds, collider.getBounds())) && collider.overlaps(shape)
+            );
+            return sortByDistance(colliders, center);
+        }
+        
+        // Draw all game objects in the scene (sorted by layer). World objects
+        // are drawn through the camera, then screen-space objects on top.
+        draw(ctx) {
+            // Draw background if set
+            if (this.background) {
+                ctx.fillStyle = this.background;
+                ctx.fillRect(0, 0, somvas.width, somvas.height);
+            }
+            
+            ctx.save();
+            this.camera.apply(ctx);
+            for (const gameObject of this.gameObjects) {
+                if (gameObject.screenSpace) continue;
+                if (this.camera.culling) {
+                    const bounds = gameObject.getBounds(true);
+                    if (bounds && !this.camera.isVisible(bounds)) continue;
+                }
+                gameObject.draw(ctx);
+            }
+            if (somvas.debugMode) {
+                Debug.drawGizmos(ctx, this, false);
+            }
+            ctx.restore();
+            
+            for (const gameObject of this.gameObjects) {
+                if (gameObject.screenSpace) {
+                    gameObject.draw(ctx);
+                }
+            }
+            if (somvas.debugMode) {
+                Debug.drawGizmos(ctx, this, true);
+            }
+        }
+        
+        // Visible objects in the order they're drawn (world objects, then screen-space
+        // ones; children after their parent)
+        getDrawOrder() {
+            const order = [];
+            const visit = (gameObject) => {
+                if (!gameObject.visible || !gameObject.active) return;
+                order.push(gameObject);
+                gameObject.children.forEach(visit);
+            };
+            this.gameObjects.filter(gameObject => !gameObject.screenSpace).forEach(visit);
+            this.gameObjects.filter(gameObject => gameObject.screenSpace).forEach(visit);
+            return order;
+        }
+        
+        // Topmost interactive object at a screen position (or null), skipping
+        // exclude and its descendants
+        hitTest(screenX, screenY, exclude = null) {
+            const world = this.camera.screenToWorld(screenX, screenY);
+            const order = this.getDrawOrder();
+            for (let i = order.length - 1; i >= 0; i--) {
+                const gameObject = order[i];
+                if (!gameObject.interactive) continue;
+                if (exclude && isSelfOrDescendant(gameObject, exclude)) continue;
+                const point = gameObject.getRoot().screenSpace ? { x: screenX, y: screenY } : world;
+                if (gameObject.containsPoint(point.x, point.y)) {
+                    return gameObject;
+                }
+            }
+            return null;
+        }
+        
+        // Pointer event for a target (x and y are in the target's space: world,
+        // or screen for screen-space objects)
+        createPointerEvent(pointer, target) {
+            const screen = !target || target.getRoot().screenSpace;
+            const position = screen ? { x: pointer.x, y: pointer.y } : this.camera.screenToWorld(pointer.x, pointer.y);
+            return {
+                pointerId: pointer.id,
+                x: position.x,
+                y: position.y,
+                screenX: pointer.x,
+                screenY: pointer.y,
+                target: target,
+                dragging: pointer.dragging
+            };
+        }
+        
+        // Send a pointer event to an object if it's still in this scene
+        dispatchPointerEvent(target, method, pointer, extra) {
+            if (!target || target.scene !== this) return null;
+            const event = Object.assign(this.createPointerEvent(pointer, target), extra);
+            target.sendMessage(method, event);
+            return event;
+        }
+        
+        // Hit-test the mouse and touches and send pointer events (the left mouse
+        // button and touches behave the same way)
+        updatePointers() {
+            const input = somvas.input;
+            if (!input.touches) return;
+            
+            const current = new Map();
+            for (const touch of input.touches.values()) {
+                current.set(touch.id, { x: touch.x, y: touch.y, down: true });
+            }
+            // A click that starts and ends between two frames still counts as down for one frame
+            const mouse = input.mouse;
+            const mouseDown = !!mouse.buttons.left || Input.wasPressed('mouse:left');
+            if (mouse.active || mouseDown || this.pointers.has('mouse')) {
+                current.set('mouse', { x: mouse.x, y: mouse.y, down: mouseDown, gone: !mouse.active && !mouseDown });
+            }
+            
+            for (const [id, state] of this.pointers) {
+                if (!current.has(id)) {
+                    // Ended touches release where they were last seen, then leave
+                    this.updatePointer(id, state.x, state.y, false);
+                    this.updatePointer(id, state.x, state.y, false, true);
+                    this.pointers.delete(id);
+                }
+            }
+            for (const [id, pointer] of current) {
+                this.updatePointer(id, pointer.x, pointer.y, pointer.down, pointer.gone);
+                if (pointer.gone) {
+                    this.pointers.delete(id);
+                }
+            }
+        }
+        
+        // Track one pointer: hover (enter/exit), press, drag, release and click
+        updatePointer(id, x, y, down, gone = false) {
+            let pointer = this.pointers.get(id);
+            if (!pointer) {
+                pointer = { id: id, x: x, y: y, isDown: false, over: null, pressed: null, dragging: false, startX: x, startY: y, grabX: 0, grabY: 0 };
+                this.pointers.set(id, pointer);
+            }
+            const moved = pointer.x !== x || pointer.y !== y;
+            pointer.x = x;
+            pointer.y = y;
+            
+            const hit = gone ? null : this.hitTest(x, y);
+            if (hit !== pointer.over) {
+                this.dispatchPointerEvent(pointer.over, 'onPointerExit', pointer);
+                pointer.over = hit;
+                this.dispatchPointerEvent(hit, 'onPointerEnter', pointer);
+            }
+            
+            if (down && !pointer.isDown) {
+                pointer.isDown = true;
+                pointer.pressed = hit;
+                pointer.dragging = false;
+                pointer.startX = x;
+                pointer.startY = y;
+                const event = this.dispatchPointerEvent(hit, 'onPointerDown', pointer);
+                if (event) {
+                    // Keep the grabbed point under the pointer while dragging
+                    const position = hit.getWorldPosition();
+                    pointer.grabX = event.x - position.x;
+                    pointer.grabY = event.y - position.y;
+                }
+            } else if (down) {
+                const target = pointer.pressed;
+                if (!target || target.scene !== this) return;
+                
+                if (!pointer.dragging && MathUtils.distance(pointer.startX, pointer.startY, x, y) >= this.dragThreshold) {
+                    pointer.dragging = true;
+                    this.dispatchPointerEvent(target, 'onDragStart', pointer);
+                }
+                if (pointer.dragging && moved) {
+                    if (target.draggable) {
+                        const position = this.createPointerEvent(pointer, target);
+                        target.setWorldPosition(position.x - pointer.grabX, position.y - pointer.grabY);
+                    }
+                    this.dispatchPointerEvent(target, 'onDrag', pointer);
+                }
+            } else if (pointer.isDown) {
+                pointer.isDown = false;
+                this.dispatchPointerEvent(hit, 'onPointerUp', pointer);
+                
+                const target = pointer.pressed;
+                if (pointer.dragging) {
+                    // dropTarget is what the dragged object was dropped on
+                    this.dispatchPointerEvent(target, 'onDragEnd', pointer, { dropTarget: this.hitTest(x, y, target) });
+                } else if (target && target === hit) {
+                    this.dispatchPointerEvent(target, 'onClick', pointer);
+                }
+                pointer.pressed = null;
+                pointer.dragging = false;
+            }
+        }
+        
+        // Outline the colliders of world or screen-space objects (colliders draw in world space)
+        drawColliders(ctx, screenSpace) {
+            for (const gameObject of this.getVisibleObjects()) {
+                if (gameObject.collider && gameObject.getRoot().screenSpace === screenSpace) {
+                    gameObject.collider.draw(ctx);
+                }
+            }
+        }
+    }
+    
+    // Priority queue for A* (lowest priority first; ties come out in insertion
+    // order so searches are deterministic)
+    class BinaryHeap {
+        constructor() {
+            this.items = [];
+            this.counter = 0;
+        }
+        
+        get size() {
+            return this.items.length;
+        }
+        
+        push(value, priority) {
+            const items = this.items;
+            items.push({ value: value, priority: priority, order: this.counter++ });
+            let index = items.length - 1;
+            while (index > 0) {
+                const parent = (index - 1) >> 1;
+                if (!this.before(items[index], items[parent])) break;
+                [items[index], items[parent]] = [items[parent], items[index]];
+                index = parent;
+            }
+        }
+        
+        pop() {
+            const items = this.items;
+            const top = items[0];
+            const last = items.pop();
+            if (items.length > 0) {
+                items[0] = last;
+                let index = 0;
+                while (true) {
+                    const left = index * 2 + 1;
+                    const right = left + 1;
+                    let smallest = index;
+                    if (left < items.length && this.before(items[left], items[smallest])) smallest = left;
+                    if (right < items.length && this.before(items[right], items[smallest])) smallest = right;
+                    if (smallest === index) break;
+                    [items[index], items[smallest]] = [items[smallest], items[index]];
+                    index = smallest;
+                }
+            }
+            return top.value;
+        }
+        
+        before(a, b) {
+            return a.priority < b.priority || (a.priority === b.priority && a.order < b.order);
+        }
+    }
+    
+    // Neighbour offsets: the four sides, then the diagonals
+    const GRID_DIRECTIONS = [
+        { x: 1, y: 0 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 0, y: -1 },
+        { x: 1, y: 1 }, { x: -1, y: 1 }, { x: 1, y: -1 }, { x: -1, y: -1 }
+    ];
+    
+    // Diagonal move rules: 'never', 'always', or 'noCorners' (only when both
+    // sides are walkable, so paths don't cut corners)
+    const DIAGONAL_RULES = ['never', 'always', 'noCorners'];
+    
+    // Walkable grid for pathfinding. Cells have a movement cost (1 by default,
+    // higher for terrain to avoid); positions are world coordinates.
+    class NavGrid {
+        constructor(columns, rows, cellWidth, cellHeight = cellWidth, originX = 0, originY = 0) {
+            this.columns = columns;
+            this.rows = rows;
+            this.cellWidth = cellWidth;
+            this.cellHeight = cellHeight;
+            // World position of the top-left corner of cell (0, 0)
+            this.originX = originX;
+            this.originY = originY;
+            this.walkable = new Uint8Array(columns * rows).fill(1);
+            this.costs = new Float64Array(columns * rows).fill(1);
+        }
+        
+        // Grid with a cell per tile: solid tiles (or tiles of the given layer) are
+        // blocked, and a tile 'cost' property sets the cell cost
+        static fromTilemap(tilemap, options = {}) {
+            const transform = tilemap.gameObject ? tilemap.gameObject.getWorldTransform() : { x: 0, y: 0, scaleX: 1, scaleY: 1 };
+            const grid = new NavGrid(
+                tilemap.width,
+                tilemap.height,
+                tilemap.tileWidth * transform.scaleX,
+                tilemap.tileHeight * transform.scaleY,
+                transform.x,
+                transform.y
+            );
+            
+            for (let row = 0; row < tilemap.height; row++) {
+                for (let column = 0; column < tilemap.width; column++) {
+                    const blocked = options.layer !== undefined ?
+                        tilemap.getTile(options.layer, column, row) !== 0 :
+                        tilemap.isSolid(column, row);
+                    grid.setWalkable(column, row, !blocked);
+                    
+                    for (const layer of tilemap.layers) {
+                        const gid = tilemap.getTile(layer, column, row);
+                        const cost = gid !== 0 ? tilemap.getTileProperties(gid).cost : undefined;
+                        if (typeof cost === 'number') {
+                            grid.setCost(column, row, cost);
+                        }
+                    }
+                }
+            }
+            return grid;
+        }
+        
+        // Grid over an area of a scene with the cells covered by solid (non-trigger)
+        // box colliders blocked. Options: bounds (defaults to the area the boxes
+        // cover) and mask (collision layers that block)
+        static fromScene(scene, cellSize, options = {}) {
+            const mask = options.mask !== undefined ? options.mask : ~0;
+            const colliders = scene.getActiveObjects()
+                .map(gameObject => gameObject.collider)
+                .filter(collider => collider instanceof BoxCollider && !collider.isTrigger && (collider.collisionLayer & mask) !== 0);
+            
+            let bounds = options.bounds;
+            if (!bounds) {
+                const corners = [];
+                for (const collider of colliders) {
+                    const box = collider.getBounds();
+                    corners.push({ x: box.x, y: box.y }, { x: box.x + box.width, y: box.y + box.height });
+                }
+                bounds = corners.length > 0 ? boundsOfPoints(corners) : { x: 0, y: 0, width: 0, height: 0 };
+            }
+            
+            const grid = new NavGrid(
+                Math.max(Math.ceil(bounds.width / cellSize), 1),
+                Math.max(Math.ceil(bounds.height / cellSize), 1),
+                cellSize,
+                cellSize,
+                bounds.x,
+                bounds.y
+            );
+            
+            // Test each cell a box covers as a box of its own
+            const probe = new GameObject(0, 0);
+            probe.setCollider(BoxCollider, cellSize, cellSize);
+            for (const collider of colliders) {
+                const box = collider.getBounds();
+                const start = grid.worldToCell(box.x, box.y);
+                const end = grid.worldToCell(box.x + box.width, box.y + box.height);
+                for (let row = Math.max(start.row, 0); row <= Math.min(end.row, grid.rows - 1); row++) {
+                    for (let column = Math.max(start.column, 0); column <= Math.min(end.column, grid.columns - 1); column++) {
+                        const center = grid.cellToWorld(column, row);
+                        probe.x = center.x;
+                        probe.y = center.y;
+                        if (collider.overlaps(probe.collider)) {
+                            grid.setWalkable(column, row, false);
+                        }
+                    }
+                }
+            }
+            return grid;
+        }
+        
+        // Check whether a cell is on the grid
+        contains(column, row) {
+            return column >= 0 && row >= 0 && column < this.columns && row < this.rows;
+        }
+        
+        // Check whether a cell can be walked on (cells off the grid can't)
+        isWalkable(column, row) {
+            return this.contains(column, row) && this.walkable[row * this.columns + column] === 1;
+        }
+        
+        setWalkable(column, row, walkable) {
+            if (this.contains(column, row)) {
+                this.walkable[row * this.columns + column] = walkable ? 1 : 0;
+            }
+            return this;
+        }
+        
+        // Cost of moving into a cell (1 is normal)
+        getCost(column, row) {
+            return this.costs[row * this.columns + column];
+        }
+        
+        // Set the cost of moving into a cell (at least 1, so the A* estimate
+        // never overshoots)
+        setCost(column, row, cost) {
+            if (!(cost >= 1)) {
+                throw new Error(`Cell cost must be at least 1 (got ${cost})`);
+            }
+            if (this.contains(column, row)) {
+                this.costs[row * this.columns + column] = cost;
+            }
+            return this;
+        }
+        
+        // Cell containing a world position
+        worldToCell(x, y) {
+            return {
+                column: Math.floor((x - this.originX) / this.cellWidth),
+                row: Math.floor((y - this.originY) / this.cellHeight)
+            };
+        }
+        
+        // World position of a cell's center
+        cellToWorld(column, row) {
+            return new Vector2(
+                this.originX + (column + 0.5) * this.cellWidth,
+                this.originY + (row + 0.5) * this.cellHeight
+            );
+        }
+        
+        // Path between two world positions as world points (cell centers, ending
+        // at the goal itself), or null if there is none. Options: diagonal (see
+        // DIAGONAL_RULES, default 'noCorners') and smooth (skip points that are
+        // in a straight line of sight, default true).
+        findPath(start, goal, options = {}) {
+            const startCell = this.worldToCell(start.x, start.y);
+            const goalCell = this.worldToCell(goal.x, goal.y);
+            let cells = this.findCellPath(startCell, goalCell, options);
+            if (!cells) return null;
+            if (options.smooth !== false) {
+                cells = this.smoothPath(cells);
+            }
+            
+            const points = cells.slice(1).map(cell => this.cellToWorld(cell.column, cell.row));
+            points.pop();
+            points.push(Vector2.from(goal));
+            return points;
+        }
+        
+        // A* search between two cells: the list of cells from start to goal, or
+        // null if the goal can't be reached
+        findCellPath(start, goal, options = {}) {
+            const diagonal = options.diagonal || 'noCorners';
+            if (!DIAGONAL_RULES.includes(diagonal)) {
+                throw new Error(`Unknown diagonal rule '${diagonal}'`);
+            }
+            if (!this.contains(start.column, start.row) || !this.isWalkable(goal.column, goal.row)) {
+                return null;
+            }
+            
+            const columns = this.columns;
+            const startIndex = start.row * columns + start.column;
+            const goalIndex = goal.row * columns + goal.column;
+            const scores = new Float64Array(columns * this.rows).fill(Infinity);
+            const cameFrom = new Int32Array(columns * this.rows).fill(-1);
+            const closed = new Uint8Array(columns * this.rows);
+            const directions = diagonal === 'never' ? GRID_DIRECTIONS.slice(0, 4) : GRID_DIRECTIONS;
+            
+            // Manhattan distance for 4-way moves, octile distance with diagonals
+            const estimate = (column, row) => {
+                const dx = Math.abs(column - goal.column);
+                const dy = Math.abs(row - goal.row);
+                return diagonal === 'never' ? dx + dy : dx + dy + (Math.SQRT2 - 2) * Math.min(dx, dy);
+            };
+            
+            const open = new BinaryHeap();
+            scores[startIndex] = 0;
+            open.push(startIndex, estimate(start.column, start.row));
+            
+            while (open.size > 0) {
+                const current = open.pop();
+                if (closed[current]) continue;
+                closed[current] = 1;
+                
+                if (current === goalIndex) {
+                    const path = [];
+                    for (let index = current; index !== -1; index = cameFrom[index]) {
+                        path.push({ column: index % columns, row: Math.floor(index / columns) });
+                    }
+                    return path.reverse();
+                }
+                
+                const column = current % columns;
+                const row = Math.floor(current / columns);
+                for (const direction of directions) {
+                    const nextColumn = column + direction.x;
+                    const nextRow = row + direction.y;
+                    if (!this.isWalkable(nextColumn, nextRow)) continue;
+                    
+                    const diagonalMove = direction.x !== 0 && direction.y !== 0;
+                    if (diagonalMove && diagonal === 'noCorners' &&
+                        (!this.isWalkable(column + direction.x, row) || !this.isWalkable(column, row + direction.y))) {
+                        continue;
+                    }
+                    
+                    const next = nextRow * columns + nextColumn;
+                    const score = scores[current] + (diagonalMove ? Math.SQRT2 : 1) * this.costs[next];
+                    if (score < scores[next]) {
+                        scores[next] = score;
+                        cameFrom[next] = current;
+                        open.push(next, score + estimate(nextColumn, nextRow));
+                    }
+                }
+            }
+            return null;
+        }
+        
+        // Drop the cells between two cells that can see each other (cell costs
+        // are ignored once a straight line is clear)
+        smoothPath(cells) {
+            if (cells.length <= 2) return cells.slice();
+            
+            const smoothed = [cells[0]];
+            let anchor = 0;
+            while (anchor < cells.length - 1) {
+                let farthest = anchor + 1;
+                for (let index = cells.length - 1; index > anchor + 1; index--) {
+                    if (this.hasLineOfSight(cells[anchor], cells[index])) {
+                        farthest = index;
+                        break;
+                    }
+                }
+                smoothed.push(cells[farthest]);
+                anchor = farthest;
+            }
+            return smoothed;
+        }
+        
+        // Check whether the straight line between two cell centers only crosses
+        // walkable cells (lines through a corner need both sides walkable)
+        hasLineOfSight(from, to) {
+            let column = from.column;
+            let row = from.row;
+            const dx = to.column - from.column;
+            const dy = to.row - from.row;
+            const stepX = Math.sign(dx);
+            const stepY = Math.sign(dy);
+            // Line parameter (0 to 1) at the next column/row boundary, and between boundaries
+            let nextX = dx !== 0 ? 0.5 / Math.abs(dx) : Infinity;
+            let nextY = dy !== 0 ? 0.5 / Math.abs(dy) : Infinity;
+            const deltaX = dx !== 0 ? 1 / Math.abs(dx) : Infinity;
+            const deltaY = dy !== 0 ? 1 / Math.abs(dy) : Infinity;
+            
+            while (column !== to.column || row !== to.row) {
+                if (Math.abs(nextX - nextY) < 1e-9) {
+                    if (!this.isWalkable(column + stepX, row) || !this.isWalkable(column, row + stepY)) {
+                        return false;
+                    }
+                    column += stepX;
+                    row += stepY;
+                    nextX += deltaX;
+                    nextY += deltaY;
+                } else if (nextX < nextY) {
+                    column += stepX;
+                    nextX += deltaX;
+                } else {
+                    row += stepY;
+                    nextY += deltaY;
+                }
+                if (!this.isWalkable(column, row)) return false;
+            }
+            return true;
+        }
+    }
+    
+    // World position of a steering target (a game object or any { x, y })
+    function targetPosition(target) {
+        return target instanceof GameObject ? target.getWorldPosition() : target;
+    }
+    
+    // Steering forces by behavior type. Each returns the change of velocity the
+    // agent wants (before weighting and the agent's maxForce).
+    const STEERING_BEHAVIORS = {
+        // Head straight for the target at full speed
+        seek: function(agent, behavior, position) {
+            const target = targetPosition(behavior.target);
+            const desired = new Vector2(target.x - position.x, target.y - position.y).normalize().scale(agent.maxSpeed);
+            return desired.subtract(agent.velocity);
+        },
+        
+        // Run directly away from the target while it's within radius
+        flee: function(agent, behavior, position) {
+            const target = targetPosition(behavior.target);
+            const away = new Vector2(position.x - target.x, position.y - target.y);
+            if (away.length() > behavior.radius) return new Vector2();
+            return away.normalize().scale(agent.maxSpeed).subtract(agent.velocity);
+        },
+        
+        // Seek, slowing down inside slowRadius to stop on the target
+        arrive: function(agent, behavior, position) {
+            const target = targetPosition(behavior.target);
+            const offset = new Vector2(target.x - position.x, target.y - position.y);
+            const distance = offset.length();
+            if (distance < 1e-6) return agent.velocity.negate();
+            const speed = agent.maxSpeed * Math.min(distance / behavior.slowRadius, 1);
+            return offset.scale(speed / distance).subtract(agent.velocity);
+        },
+        
+        // Drift around: steer towards a point that jitters along a circle in front
+        // of the agent (uses MathUtils.random, so seeding makes it repeatable)
+        wander: function(agent, behavior) {
+            behavior.angle += MathUtils.random(-behavior.jitter, behavior.jitter);
+            const heading = agent.velocity.lengthSquared() > 0 ? agent.velocity.normalize() : Vector2.fromAngle(agent.gameObject.getWorldRotation());
+            const target = heading.scale(behavior.distance).add(Vector2.fromAngle(behavior.angle, behavior.radius));
+            return target.normalize().scale(agent.maxSpeed).subtract(agent.velocity);
+        },
+        
+        // Move away from neighbours closer than radius (closer ones push harder)
+        separate: function(agent, behavior, position) {
+            const neighbors = typeof behavior.neighbors === 'function' ? behavior.neighbors() :
+                typeof behavior.neighbors === 'string' ? (agent.gameObject.scene ? agent.gameObject.scene.find(behavior.neighbors) : []) :
+                behavior.neighbors;
+            let push = new Vector2();
+            for (const neighbor of neighbors) {
+                if (neighbor === agent.gameObject) continue;
+                const other = targetPosition(neighbor);
+                const away = new Vector2(position.x - other.x, position.y - other.y);
+                const distance = away.length();
+                if (distance > 0 && distance < behavior.radius) {
+                    push = push.add(away.scale((behavior.radius - distance) / (behavior.radius * distance)));
+                }
+            }
+            return push.lengthSquared() > 0 ? push.normalize().scale(agent.maxSpeed).subtract(agent.velocity) : new Vector2();
+        }
+    };
+    
+    // Moves its game object with weighted steering behaviors. Behaviors are added
+    // with seek/flee/arrive/wander/separate; with a Rigidbody the agent drives
+    // the body's velocity instead of the position.
+    class SteeringAgent {
+        constructor(options = {}) {
+            this.velocity = new Vector2();
+            // Top speed (pixels per second) and largest velocity change per second
+            this.maxSpeed = options.maxSpeed !== undefined ? options.maxSpeed : 100;
+            this.maxForce = options.maxForce !== undefined ? options.maxForce : 200;
+            // Turn the object to face where it's going
+            this.rotateToVelocity = options.rotateToVelocity || false;
+            this.behaviors = [];
+        }
+        
+        // Head for a target (a game object or { x, y })
+        seek(target, weight = 1) {
+            return this.addBehavior({ type: 'seek', target: target, weight: weight });
+        }
+        
+        // Run from a target while it's closer than radius
+        flee(target, weight = 1, radius = Infinity) {
+            return this.addBehavior({ type: 'flee', target: target, weight: weight, radius: radius });
+        }
+        
+        // Head for a target and stop on it, slowing down inside slowRadius
+        arrive(target, slowRadius = 100, weight = 1) {
+            return this.addBehavior({ type: 'arrive', target: target, weight: weight, slowRadius: slowRadius });
+        }
+        
+        // Wander around. Options: radius and distance of the wander circle, and
+        // jitter (radians the target moves per update)
+        wander(options = {}, weight = 1) {
+            return this.addBehavior({
+                type: 'wander',
+                weight: weight,
+                radius: options.radius !== undefined ? options.radius : 30,
+                distance: options.distance !== undefined ? options.distance : 60,
+                jitter: options.jitter !== undefined ? options.jitter : 0.5,
+                angle: 0
+            });
+        }
+        
+        // Keep away from neighbours (an array, a function returning one, or a tag)
+        separate(neighbors, radius = 50, weight = 1) {
+            return this.addBehavior({ type: 'separate', neighbors: neighbors, weight: weight, radius: radius });
+        }
+        
+        addBehavior(behavior) {
+            this.behaviors.push(behavior);
+            return this;
+        }
+        
+        // Remove the behaviors of a type (all of them if no type is given)
+        clearBehaviors(type) {
+            this.behaviors = type ? this.behaviors.filter(behavior => behavior.type !== type) : [];
+            return this;
+        }
+        
+        // Weighted sum of the behaviors' forces, limited to maxForce
+        computeForce() {
+            const position = this.gameObject.getWorldPosition();
+            let force = new Vector2();
+            for (const behavior of this.behaviors) {
+                force = force.add(STEERING_BEHAVIORS[behavior.type](this, behavior, position).scale(behavior.weight));
+            }
+            const length = force.length();
+            return length > this.maxForce ? force.scale(this.maxForce / length) : force;
+        }
+        
+        update(deltaTime) {
+            const body = this.gameObject.getComponent(Rigidbody);
+            if (body) {
+                this.velocity.set(body.velocity.x, body.velocity.y);
+            }
+            
+            let velocity = this.velocity.add(this.computeForce().scale(deltaTime));
+            const speed = velocity.length();
+            if (speed > this.maxSpeed) {
+                velocity = velocity.scale(this.maxSpeed / speed);
+            }
+            this.velocity = velocity;
+            
+            if (body) {
+                body.velocity.x = velocity.x;
+                body.velocity.y = velocity.y;
+            } else {
+                const position = this.gameObject.getWorldPosition();
+                this.gameObject.setWorldPosition(position.x + velocity.x * deltaTime, position.y + velocity.y * deltaTime);
+            }
+            if (this.rotateToVelocity && speed > 1e-6) {
+                this.gameObject.rotation = velocity.angle();
+            }
+        }
+    }
+    
+    // Moves its game object along a list of world points at a fixed speed (with a
+    // Rigidbody, by setting the body's velocity). Emits 'pathComplete' on the
+    // object at the end.
+    class PathFollower {
+        constructor(options = {}) {
+            this.speed = options.speed !== undefined ? options.speed : 100;
+            // NavGrid used by moveTo, and its findPath options
+            this.grid = options.grid || null;
+            this.pathOptions = options.pathOptions || {};
+            // How close counts as reaching a point
+            this.reachDistance = options.reachDistance !== undefined ? options.reachDistance : 1;
+            this.rotateToPath = options.rotateToPath || false;
+            this.onComplete = options.onComplete || null;
+            this.path = [];
+            this.index = 0;
+            // Direction last taken towards the current point (a body that has moved
+            // past it since has reached it)
+            this.heading = null;
+        }
+        
+        // Follow a list of world points
+        setPath(points) {
+            this.path = points.map(point => Vector2.from(point));
+            this.index = 0;
+            this.heading = null;
+            return this;
+        }
+        
+        // Find a path to a world position on the grid and follow it (false if
+        // there is no path)
+        moveTo(x, y) {
+            if (!this.grid) {
+                throw new Error('PathFollower.moveTo needs a grid');
+            }
+            const path = this.grid.findPath(this.gameObject.getWorldPosition(), { x: x, y: y }, this.pathOptions);
+            if (!path) return false;
+            this.setPath(path);
+            return true;
+        }
+        
+        // Stop following the path
+        stop() {
+            this.path = [];
+            this.index = 0;
+            this.heading = null;
+            const body = this.gameObject && this.gameObject.getComponent(Rigidbody);
+            if (body) {
+                body.velocity.x = 0;
+                body.velocity.y = 0;
+            }
+            return this;
+        }
+        
+        // Check whether there are points left to reach
+        isMoving() {
+            return this.index < this.path.length;
+        }
+        
+        update(deltaTime) {
+            if (!this.isMoving()) return;
+            
+            const body = this.gameObject.getComponent(Rigidbody);
+            let position = Vector2.from(this.gameObject.getWorldPosition());
+            let travel = this.speed * deltaTime;
+            let direction = null;
+            
+            // Walk through as many points as this frame's distance reaches
+            while (this.isMoving()) {
+                const target = this.path[this.index];
+                const offset = target.subtract(position);
+                const distance = offset.length();
+                const passed = body && this.heading && offset.dot(this.heading) <= 0;
+                if (distance <= this.reachDistance || passed || (!body && distance <= travel)) {
+                    if (!body) {
+                        position = target;
+                        travel -= distance;
+                    }
+                    this.index++;
+                    this.heading = null;
+                    continue;
+                }
+                direction = offset.scale(1 / distance);
+                this.heading = direction;
+                if (body && this.index === this.path.length - 1) {
+                    // Slow down to land on the last point instead of overshooting it
+                    travel = Math.min(travel, distance);
+                }
+                if (!body) {
+                    position = position.add(direction.scale(travel));
+                }
+                break;
+            }
+            
+            if (body) {
+                const velocity = direction ? direction.scale(travel / deltaTime) : new Vector2();
+                body.velocity.x = velocity.x;
+                body.velocity.y = velocity.y;
+            } else {
+                this.gameObject.setWorldPosition(position.x, position.y);
+            }
+            if (this.rotateToPath && direction) {
+                this.gameObject.rotation = direction.angle();
+            }
+            
+            if (!this.isMoving()) {
+                if (this.onComplete) {
+                    this.onComplete();
+                }
+                this.gameObject.emit('pathComplete');
+            }
+        }
+    }
+    
+    // Name an asset was loaded under (assets are serialized by AssetLoader name)
+    function assetName(asset) {
+        if (!asset) return null;
+        for (const name in somvas.assets) {
+            if (somvas.assets[name] === asset) return name;
+        }
+        throw new Error('Only assets loaded by AssetLoader can be serialized');
+    }
+    
+    // Loaded asset by name (null passes through)
+    function assetByName(name) {
+        if (name === null || name === undefined) return null;
+        if (!AssetLoader.has(name)) {
+            throw new Error(`Asset '${name}' is not loaded`);
+        }
+        return AssetLoader.get(name);
+    }
+    
+    // Own properties of an object that are plain data (skips functions,
+    // class instances and the gameObject back-reference)
+    function plainData(object) {
+        const data = {};
+        for (const key of Object.keys(object)) {
+            const value = object[key];
+            if (key === 'gameObject' || typeof value === 'function') continue;
+            if (value && typeof value === 'object' && !Array.isArray(value) &&
+                Object.getPrototypeOf(value) !== Object.prototype) continue;
+            data[key] = value;
+        }
+        return data;
+    }
+    
+    // Check for a plain object (not an array or class instance)
+    function isPlainObject(value) {
+        return !!value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+    }
+    
+    // Deep merge of prefab overrides into a copy of the template. Arrays are
+    // replaced, except that components can be overridden by type name
+    // ({ components: { Sprite: { opacity: 0.5 } } }).
+    function mergeData(base, overrides) {
+        const result = Object.assign({}, base);
+        for (const key in overrides) {
+            const value = overrides[key];
+            if (key === 'components' && isPlainObject(value)) {
+                const components = (base.components || []).slice();
+                for (const type in value) {
+                    const index = components.findIndex(component => component.type === type);
+                    if (index === -1) {
+                        components.push(Object.assign({ type: type }, value[type]));
+                    } else {
+                        components[index] = mergeData(components[index], value[type]);
+                    }
+                }
+                result.components = components;
+            } else if (isPlainObject(value) && isPlainObject(base[key])) {
+                result[key] = mergeData(base[key], value);
+            } else {
+                result[key] = value;
+            }
+        }
+        return result;
+    }
+    
+    // Constructor arguments of the serializable colliders, in order
+    const COLLIDER_FIELDS = {
+        BoxCollider: ['width', 'height', 'offsetX', 'offsetY'],
+        CircleCollider: ['radius', 'offsetX', 'offsetY'],
+        PolygonCollider: ['points', 'offsetX', 'offsetY']
+    };
+    
+    // Serializable component types by name
+    const ComponentRegistry = {
+        types: {},
+        
+        // Register a component type. serializer.toJSON(component) returns its data
+        // and serializer.fromJSON(data) builds a component; by default the plain
+        // data properties are copied onto new type()
+        register: function(name, type, serializer = {}) {
+            this.types[name] = {
+                type: type,
+                toJSON: serializer.toJSON || plainData,
+                fromJSON: serializer.fromJSON || (data => Object.assign(new type(), data))
+            };
+        },
+        
+        // Registered name of a component (exact class first, then base classes)
+        nameOf: function(component) {
+            let fallback = null;
+            for (const name in this.types) {
+                if (component.constructor === this.types[name].type) return name;
+                if (!fallback && component instanceof this.types[name].type) fallback = name;
+            }
+            return fallback;
+        },
+        
+        serialize: function(component) {
+            const name = this.nameOf(component);
+            if (!name) {
+                throw new Error(`Component '${component.constructor.name}' is not registered for serialization`);
+            }
+            return Object.assign({ type: name }, this.types[name].toJSON(component));
+        },
+        
+        deserialize: function(data) {
+            const entry = this.types[data.type];
+            if (!entry) {
+                throw new Error(`Unknown component type '${data.type}'`);
+            }
+            // Copy so components never share nested objects with the source data
+            const fields = JSON.parse(JSON.stringify(data));
+            delete fields.type;
+            return entry.fromJSON(fields);
+        }
+    };
+    
+    ComponentRegistry.register('Sprite', Sprite, {
+        toJSON: sprite => Object.assign(plainData(sprite), { image: assetName(sprite.image) }),
+        fromJSON: data => Object.assign(new Sprite(), data, { image: assetByName(data.image) })
+    });
+    // Only the text and style are saved; the wrapped-line cache is rebuilt on draw
+    ComponentRegistry.register('Text', Text, {
+        toJSON: text => ({ text: text.text, style: Object.assign({}, text.style) }),
+        fromJSON: data => new Text(data.text, data.style)
+    });
+    ComponentRegistry.register('Rectangle', Rectangle);
+    ComponentRegistry.register('Circle', Circle);
+    ComponentRegistry.register('Rigidbody', Rigidbody, {
+        toJSON: body => ({
+            bodyType: body.type,
+            mass: body.mass,
+            gravityScale: body.gravityScale,
+            drag: body.drag,
+            restitution: body.restitution,
+            friction: body.friction,
+            interpolate: body.interpolate,
+            velocityX: body.velocity.x,
+            velocityY: body.velocity.y
+        }),
+        fromJSON: data => new Rigidbody(Object.assign({}, data, { type: data.bodyType }))
+    });
+    ComponentRegistry.register('Animator', Animator, {
+        toJSON: animator => {
+            const clips = {};
+            for (const name in animator.clips) {
+                const clip = animator.clips[name];
+                clips[name] = {
+                    frames: clip.frames,
+                    frameDuration: clip.frameDuration,
+                    durations: clip.durations,
+                    mode: clip.mode
+                };
+            }
+            return {
+                spriteSheet: assetName(animator.spriteSheet),
+                clips: clips,
+                clip: animator.currentClip ? animator.currentClip.name : null,
+                frameIndex: animator.frameIndex,
+                speed: animator.speed,
+                flipX: animator.flipX,
+                flipY: animator.flipY,
+                playing: animator.playing
+            };
+        },
+        fromJSON: data => {
+            const animator = new Animator(assetByName(data.spriteSheet));
+            for (const name in data.clips) {
+                animator.addClip(name, data.clips[name].frames, data.clips[name]);
+            }
+            animator.currentClip = data.clip ? animator.clips[data.clip] : null;
+            animator.frameIndex = data.frameIndex || 0;
+            animator.speed = data.speed !== undefined ? data.speed : 1;
+            animator.flipX = !!data.flipX;
+            animator.flipY = !!data.flipY;
+            animator.playing = !!data.playing && !!animator.currentClip;
+            return animator;
+        }
+    });
+    ComponentRegistry.register('ParticleEmitter', ParticleEmitter, {
+        toJSON: emitter => ({
+            config: Object.assign({}, emitter.config, {
+                texture: typeof emitter.config.texture === 'string' ?
+                    emitter.config.texture : assetName(emitter.config.texture)
+            })
+        }),
+        fromJSON: data => new ParticleEmitter(data.config)
+    });
+    // Tilemaps are referenced by asset name (edits made with setTile aren't saved).
+    // Each loaded object gets its own copy of the asset.
+    ComponentRegistry.register('Tilemap', Tilemap, {
+        toJSON: tilemap => ({ asset: assetName(tilemap.source || tilemap) }),
+        fromJSON: data => assetByName(data.asset).clone()
+    });
+    
+    // Reusable object templates by name
+    const prefabs = {};
+    
+    // Error raised when a save can't be read: reason is 'corrupted' (unreadable
+    // or failed its checksum), 'newerVersion' or 'missingMigration'
+    class StorageError extends Error {
+        constructor(slot, reason, message) {
+            super(`Save '${slot}' can't be loaded: ${message}`);
+            this.name = 'StorageError';
+            this.slot = slot;
+            this.reason = reason;
+        }
+    }
+    
+    // Storage backends keep save text by key. Their methods return promises so
+    // synchronous and asynchronous stores can be swapped freely.
+    
+    // Backend that keeps saves in memory (for tests and headless runs)
+    class MemoryStorageBackend {
+        constructor() {
+            this.entries = new Map();
+        }
+        
+        read(key) {
+            return Promise.resolve(this.entries.has(key) ? this.entries.get(key) : null);
+        }
+        
+        write(key, text) {
+            this.entries.set(key, text);
+            return Promise.resolve();
+        }
+        
+        remove(key) {
+            this.entries.delete(key);
+            return Promise.resolve();
+        }
+        
+        keys() {
+            return Promise.resolve(Array.from(this.entries.keys()));
+        }
+    }
+    
+    // Backend on window.localStorage (keys are prefixed so saves don't clash
+    // with other data on the page)
+    class LocalStorageBackend {
+        constructor(prefix = 'somvas.save.') {
+            this.prefix = prefix;
+        }
+        
+        static isAvailable() {
+            try {
+                return typeof window !== 'undefined' && !!window.localStorage;
+            } catch (error) {
+                // Reading localStorage throws when storage is disabled
+                return false;
+            }
+        }
+        
+        run(operation) {
+            try {
+                return Promise.resolve(operation(window.localStorage));
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+        
+        read(key) {
+            return this.run(store => store.getItem(this.prefix + key));
+        }
+        
+        write(key, text) {
+            return this.run(store => store.setItem(this.prefix + key, text));
+        }
+        
+        remove(key) {
+            return this.run(store => store.removeItem(this.prefix + key));
+        }
+        
+        keys() {
+            return this.run(store => {
+                const keys = [];
+                for (let i = 0; i < store.length; i++) {
+                    const key = store.key(i);
+                    if (key.startsWith(this.prefix)) {
+                        keys.push(key.slice(this.prefix.length));
+                    }
+                }
+                return keys;
+            });
+        }
+    }
+    
+    // Backend on an IndexedDB object store (larger saves than localStorage allows)
+    class IndexedDBBackend {
+        constructor(databaseName = 'somvas', storeName = 'saves') {
+            this.databaseName = databaseName;
+            this.storeName = storeName;
+            this.database = null;
+        }
+        
+        // Open the database once (creating the store on first use)
+        open() {
+            if (!this.database) {
+                this.database = new Promise((resolve, reject) => {
+                    const request = window.indexedDB.open(this.databaseName, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return this.database;
+        }
+        
+        // Run a request on the store and resolve with its result
+        run(mode, makeRequest) {
+            return this.open().then(database => new Promise((resolve, reject) => {
+                const transaction = database.transaction(this.storeName, mode);
+                const request = makeRequest(transaction.objectStore(this.storeName));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }));
+        }
+        
+        read(key) {
+            return this.run('readonly', store => store.get(key)).then(text => text === undefined ? null : text);
+        }
+        
+        write(key, text) {
+            return this.run('readwrite', store => store.put(text, key)).then(() => undefined);
+        }
+        
+        remove(key) {
+            return this.run('readwrite', store => store.delete(key)).then(() => undefined);
+        }
+        
+        keys() {
+            return this.run('readonly', store => store.getAllKeys()).then(keys => keys.map(String));
+        }
+    }
+    
+    // 32-bit FNV-1a hash of a string, as 8 hex digits
+    function checksum(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+    
+    // Save-game slots. A save holds game data plus the state of scene objects
+    // that have a saveKey, stamped with the schema version and a checksum.
+    // Older saves are upgraded through the registered migrations on load.
+    const Storage = {
+        backend: null,
+        // Schema version new saves are written with
+        version: 1,
+        // Upgrade functions by the version they upgrade from
+        migrations: {},
+        autosave: null,
+        // Saves and loads run one after another so writes never interleave
+        queue: Promise.resolve(),
+        
+        // Backend in use (localStorage when the page has it, memory otherwise)
+        getBackend: function() {
+            if (!this.backend) {
+                this.backend = LocalStorageBackend.isAvailable() ? new LocalStorageBackend() : new MemoryStorageBackend();
+            }
+            return this.backend;
+        },
+        
+        setBackend: function(backend) {
+            this.backend = backend;
+        },
+        
+        // Set the schema version saves are written with
+        setVersion: function(version) {
+            if (!Number.isInteger(version) || version < 1) {
+                throw new Error(`Save version must be a positive integer (got ${version})`);
+            }
+            this.version = version;
+        },
+        
+        // Register the upgrade from fromVersion to fromVersion + 1. migrate(save)
+        // gets { data, objects } and returns the upgraded save (or changes it in place).
+        addMigration: function(fromVersion, migrate) {
+            if (this.migrations[fromVersion]) {
+                throw new Error(`A migration from version ${fromVersion} is already registered`);
+            }
+            this.migrations[fromVersion] = migrate;
+        },
+        
+        // Run an operation after the ones already queued
+        enqueue: function(operation) {
+            const result = this.queue.then(operation);
+            this.queue = result.catch(() => {});
+            return result;
+        },
+        
+        // Write a save slot. Options: scene (whose objects with a saveKey are saved
+        // too, defaults to the current scene; null to save data only). Resolves
+        // with the save's { slot, version, savedAt }.
+        save: function(slot, data = {}, options = {}) {
+            const scene = options.scene !== undefined ? options.scene : somvas.currentScene;
+            const version = this.version;
+            const savedAt = Date.now();
+            // Serialize now so later changes to the data don't leak into the save
+            let stateText;
+            try {
+                stateText = JSON.stringify({
+                    data: data,
+                    objects: scene ? this.captureObjects(scene) : {}
+                });
+            } catch (error) {
+                return Promise.reject(error);
+            }
+            
+            return this.enqueue(() => {
+                const record = {
+                    version: version,
+                    savedAt: savedAt,
+                    checksum: checksum(`${version}:${savedAt}:${stateText}`),
+                    state: JSON.parse(stateText)
+                };
+                return this.getBackend().write(slot, JSON.stringify(record));
+            }).then(() => {
+                const info = { slot: slot, version: version, savedAt: savedAt };
+                somvas.emit('saved', info);
+                return info;
+            });
+        },
+        
+        // Read a save slot, upgrading it to the current version. Resolves with
+        // { slot, version, savedAt, data, objects }, or null if the slot is empty;
+        // rejects with a StorageError if the save is corrupted or can't be
+        // upgraded. Options: scene (objects with a matching saveKey get their
+        // state back, defaults to the current scene; null to skip).
+        load: function(slot, options = {}) {
+            return this.enqueue(() => this.getBackend().read(slot)).then(text => {
+                if (text === null || text === undefined) return null;
+                
+                const save = this.parse(slot, text);
+                const scene = options.scene !== undefined ? options.scene : somvas.currentScene;
+                if (scene) {
+                    this.restoreObjects(scene, save.objects);
+                }
+                return save;
+            });
+        },
+        
+        // Check a save's checksum and migrate it to the current version
+        parse: function(slot, text) {
+            let record;
+            try {
+                record = JSON.parse(text);
+            } catch (error) {
+                throw new StorageError(slot, 'corrupted', 'it is not valid JSON');
+            }
+            if (!record || typeof record !== 'object' || !Number.isInteger(record.version) || !record.state ||
+                record.checksum !== checksum(`${record.version}:${record.savedAt}:${JSON.stringify(record.state)}`)) {
+                throw new StorageError(slot, 'corrupted', 'its checksum doesn\'t match');
+            }
+            if (record.version > this.version) {
+                throw new StorageError(slot, 'newerVersion', `it was written by version ${record.version} (this is version ${this.version})`);
+            }
+            
+            let state = { data: record.state.data, objects: record.state.objects || {} };
+            for (let version = record.version; version < this.version; version++) {
+                const migrate = this.migrations[version];
+                if (!migrate) {
+                    throw new StorageError(slot, 'missingMigration', `there is no migration from version ${version}`);
+                }
+                state = migrate(state) || state;
+            }
+            return {
+                slot: slot,
+                version: this.version,
+                savedAt: record.savedAt,
+                data: state.data,
+                objects: state.objects || {}
+            };
+        },
+        
+        // Check whether a slot has a save
+        exists: function(slot) {
+            return this.enqueue(() => this.getBackend().read(slot)).then(text => text !== null && text !== undefined);
+        },
+        
+        // Delete a save slot
+        delete: function(slot) {
+            return this.enqueue(() => this.getBackend().remove(slot));
+        },
+        
+        // Names of the slots that have saves (sorted)
+        list: function() {
+            return this.enqueue(() => this.getBackend().keys()).then(keys => keys.sort());
+        },
+        
+        // State of a scene's objects that have a saveKey, by key
+        captureObjects: function(scene) {
+            const objects = {};
+            for (const gameObject of scene.getAllObjects()) {
+                if (gameObject.saveKey === undefined || gameObject.saveKey === null) continue;
+                if (objects[gameObject.saveKey] !== undefined) {
+                    throw new Error(`Save key '${gameObject.saveKey}' is used by more than one object`);
+                }
+                objects[gameObject.saveKey] = gameObject.serialize();
+            }
+            return objects;
+        },
+        
+        // Give saved state back to the scene's objects with matching saveKeys
+        // (saved objects missing from the scene are skipped)
+        restoreObjects: function(scene, objects) {
+            for (const gameObject of scene.getAllObjects()) {
+                if (gameObject.saveKey === undefined || gameObject.saveKey === null) continue;
+                if (Object.prototype.hasOwnProperty.call(objects, gameObject.saveKey)) {
+                    gameObject.deserialize(objects[gameObject.saveKey]);
+                }
+            }
+        },
+        
+        // Save a slot whenever the scene changes. getData(event) returns the game
+        // data to save; the objects saved are those of the scene being left.
+        // Failed autosaves emit 'saveError' on the engine.
+        enableAutosave: function(slot, getData = () => ({})) {
+            this.disableAutosave();
+            const callback = (event) => {
+                const scene = event.previous || event.scene;
+                this.save(slot, getData(event), { scene: scene }).catch(error => {
+                    somvas.emit('saveError', { slot: slot, error: error });
+                });
+            };
+            somvas.on('sceneChanged', callback);
+            this.autosave = { slot: slot, callback: callback };
         },
         
-        // Generate a random integer between min and max
-        randomInt: function(min, max) {
-            return Math.floor(Math.random() * (max - min + 1)) + min;
+        disableAutosave: function() {
+            if (this.autosave) {
+                somvas.off('sceneChanged', this.autosave.callback);
+                this.autosave = null;
+            }
+        }
+    };
+    
+    // Resolve a property path like 'x', 'velocity.x' or
+    // 'getComponent(Sprite).opacity' to the object and key to write
+    function resolvePropertyPath(target, path) {
+        const segments = path.split('.');
+        let object = target;
+        for (let i = 0; i < segments.length - 1; i++) {
+            const segment = segments[i];
+            const match = /^getComponent\((\w+)\)$/.exec(segment);
+            if (match) {
+                const typeName = match[1];
+                const type = somvas[typeName];
+                object = object.components.find(component =>
+                    (typeof type === 'function' && component instanceof type) ||
+                    component.constructor.name === typeName
+                );
+            } else {
+                object = object[segment];
+            }
+            if (object === undefined || object === null) {
+                throw new Error(`Can't resolve '${path}' on tween target`);
+            }
+        }
+        return { object: object, key: segments[segments.length - 1] };
+    }
+    
+    // The GameObject a tween or timer belongs to (for scene freezing and cancellation)
+    function ownerObject(target) {
+        if (target instanceof GameObject) return target;
+        if (target && target.gameObject instanceof GameObject) return target.gameObject;
+        return null;
+    }
+    
+    // Base for items run by the tween manager (tweens, timelines and timers)
+    class TweenItem {
+        constructor(owner) {
+            this.owner = ownerObject(owner);
+            this.seenInScene = false;
+            this.state = 'pending';
+            this.paused = false;
+            // Resolves with 'completed' or 'cancelled' (items aren't thenables
+            // themselves, so returning one from an async function doesn't wait)
+            this.finished = new Promise(resolve => {
+                this.resolvePromise = resolve;
+            });
+        }
+        
+        // Check whether the owner was removed from its scene (which cancels the item)
+        isOrphaned() {
+            if (!this.owner) return false;
+            if (this.owner.scene) {
+                this.seenInScene = true;
+                return false;
+            }
+            return this.seenInScene;
+        }
+        
+        // Check whether the owner's scene isn't the one updating (paused under a pushed scene)
+        isFrozen() {
+            return !!(this.owner && this.owner.scene && this.owner.scene !== somvas.currentScene);
+        }
+        
+        // Stop without completing
+        cancel() {
+            if (this.state === 'completed' || this.state === 'cancelled') return this;
+            this.state = 'cancelled';
+            TweenManager.remove(this);
+            this.resolvePromise(this.state);
+            return this;
+        }
+        
+        pause() {
+            this.paused = true;
+            return this;
+        }
+        
+        resume() {
+            this.paused = false;
+            return this;
+        }
+        
+        // Mark as completed and resolve the promise
+        finish() {
+            this.state = 'completed';
+            this.resolvePromise(this.state);
+        }
+    }
+    
+    // Tween (animates numeric properties of a target through chained steps)
+    class Tween extends TweenItem {
+        constructor(target) {
+            super(target);
+            this.target = target;
+            this.steps = [];
+            this.stepIndex = 0;
+            this.elapsed = 0;
+            this.delaySeconds = 0;
+            this.delayTime = 0;
+            this.repeatCount = 0;
+            this.repeatsLeft = 0;
+            this.yoyoEnabled = false;
+            this.reversed = false;
+            this.callbacks = { start: null, update: null, complete: null };
+        }
+        
+        // Add a step animating properties to the given values
+        to(properties, duration, easing = 'linear') {
+            const ease = typeof easing === 'function' ? easing : Easing[easing];
+            if (!ease) {
+                throw new Error(`Unknown easing '${easing}'`);
+            }
+            this.steps.push({
+                properties: properties,
+                duration: Math.max(duration, 0),
+                easing: ease,
+                start: null,
+                resolved: null
+            });
+            return this;
+        }
+        
+        // Wait before starting
+        delay(seconds) {
+            this.delaySeconds = seconds;
+            this.delayTime = seconds;
+            return this;
+        }
+        
+        // Play the steps again times more (-1 for forever)
+        repeat(times) {
+            this.repeatCount = times;
+            return this;
+        }
+        
+        // Play back to the start after each forward pass
+        yoyo(enabled = true) {
+            this.yoyoEnabled = enabled;
+            return this;
+        }
+        
+        onStart(callback) {
+            this.callbacks.start = callback;
+            return this;
+        }
+        
+        onUpdate(callback) {
+            this.callbacks.update = callback;
+            return this;
+        }
+        
+        onComplete(callback) {
+            this.callbacks.complete = callback;
+            return this;
+        }
+        
+        // Read the start values of a step (first time it's reached)
+        captureStep(step) {
+            if (step.start) return;
+            step.start = {};
+            step.resolved = {};
+            for (const path in step.properties) {
+                const property = resolvePropertyPath(this.target, path);
+                step.resolved[path] = property;
+                step.start[path] = property.object[property.key];
+            }
+        }
+        
+        // Write a step's values at eased progress t
+        applyStep(step, t) {
+            for (const path in step.properties) {
+                const property = step.resolved[path];
+                property.object[property.key] = MathUtils.lerp(step.start[path], step.properties[path], t);
+            }
+        }
+        
+        // Advance the tween (returns true when it's done)
+        update(deltaTime) {
+            if (this.state === 'pending') {
+                this.delayTime -= deltaTime;
+                if (this.delayTime > 0) return false;
+                deltaTime = -this.delayTime;
+                this.state = 'running';
+                this.repeatsLeft = this.repeatCount;
+                if (this.callbacks.start) {
+                    this.callbacks.start(this.target);
+                }
+            }
+            if (this.steps.length === 0) {
+                this.complete();
+                return true;
+            }
+            
+            this.elapsed += deltaTime;
+            while (true) {
+                const index = this.reversed ? this.steps.length - 1 - this.stepIndex : this.stepIndex;
+                const step = this.steps[index];
+                this.captureStep(step);
+                
+                const progress = step.duration > 0 ? Math.min(this.elapsed / step.duration, 1) : 1;
+                this.applyStep(step, step.easing(this.reversed ? 1 - progress : progress));
+                if (progress < 1) break;
+                
+                // Step finished: carry leftover time into the next step
+                this.elapsed -= step.duration;
+                this.stepIndex++;
+                if (this.stepIndex < this.steps.length) continue;
+                
+                // Pass finished
+                this.stepIndex = 0;
+                if (this.yoyoEnabled && !this.reversed) {
+                    this.reversed = true;
+                    continue;
+                }
+                this.reversed = false;
+                if (this.repeatsLeft === 0) {
+                    if (this.callbacks.update) {
+                        this.callbacks.update(this.target);
+                    }
+                    this.complete();
+                    return true;
+                }
+                if (this.repeatsLeft > 0) {
+                    this.repeatsLeft--;
+                }
+                // A pass that takes no time runs once per update (repeating
+                // forever would never leave this loop)
+                if (this.steps.every(candidate => candidate.duration === 0)) break;
+            }
+            
+            if (this.callbacks.update) {
+                this.callbacks.update(this.target);
+            }
+            return false;
+        }
+        
+        complete() {
+            this.finish();
+            if (this.callbacks.complete) {
+                this.callbacks.complete(this.target);
+            }
         }
-    };
+        
+        // Rewind for another run (used when a timeline repeats); the delay and
+        // onStart run again, so a timeline's wait() and call() steps repeat too
+        reset() {
+            this.state = 'pending';
+            this.delayTime = this.delaySeconds;
+            this.stepIndex = 0;
+            this.elapsed = 0;
+            this.reversed = false;
+            this.repeatsLeft = this.repeatCount;
+        }
+    }
     
-    // Asset loader
-    const AssetLoader = {
-        // Load an image
-        loadImage: function(name, src) {
-            return new Promise((resolve, reject) => {
-                const img = new Image();
-                img.onload = () => {
-                    somvas.assets[name] = img;
-                    resolve(img);
-                };
-                img.onerror = () => {
-                    reject(`Failed to load image: ${src}`);
-                };
-                img.src = src;
-            });
-        },
+    // Timeline (groups of tweens run one after another; tweens in a group run together)
+    class Timeline extends TweenItem {
+        constructor() {
+            super(null);
+            this.groups = [];
+            this.groupIndex = 0;
+            this.repeatCount = 0;
+            this.callbacks = { complete: null };
+        }
         
-        // Load multiple images
-        loadImages: function(images) {
-            const promises = [];
-            for (const name in images) {
-                promises.push(this.loadImage(name, images[name]));
+        // Take over an item so only the timeline runs it
+        adopt(item) {
+            TweenManager.remove(item);
+            if (!this.owner && item.owner) {
+                this.owner = item.owner;
             }
-            return Promise.all(promises);
-        },
+            return item;
+        }
         
-        // Load audio
-        loadAudio: function(name, src) {
-            return new Promise((resolve, reject) => {
-                const audio = new Audio();
-                audio.addEventListener('canplaythrough', () => {
-                    somvas.assets[name] = audio;
-                    resolve(audio);
-                });
-                audio.onerror = () => {
-                    reject(`Failed to load audio: ${src}`);
-                };
-                audio.src = src;
-            });
-        },
+        // Run after everything added so far
+        add(item) {
+            this.groups.push([this.adopt(item)]);
+            return this;
+        }
         
-        // Load multiple audio files
-        loadAudios: function(audios) {
-            const promises = [];
-            for (const name in audios) {
-                promises.push(this.loadAudio(name, audios[name]));
+        // Run together with the previously added item
+        with(item) {
+            if (this.groups.length === 0) {
+                return this.add(item);
             }
-            return Promise.all(promises);
-        },
+            this.groups[this.groups.length - 1].push(this.adopt(item));
+            return this;
+        }
         
-        // Get a loaded asset
-        get: function(name) {
-            return somvas.assets[name];
+        // Pause the sequence for some seconds
+        wait(seconds) {
+            return this.add(new Tween({}).delay(seconds));
         }
-    };
-    
-    // Input handler
-    const Input = {
-        // Initialize input handling
-        init: function() {
-            somvas.input = {
-                keys: {},
-                mouse: {
-                    x: 0,
-                    y: 0,
-                    pressed: false
-                },
-                touch: {
-                    x: 0,
-                    y: 0,
-                    pressed: false
-                }
-            };
-            
-            // Keyboard events
-            window.addEventListener('keydown', (e) => {
-                somvas.input.keys[e.key] = true;
-            });
-            
-            window.addEventListener('keyup', (e) => {
-                somvas.input.keys[e.key] = false;
-            });
-            
-            // Mouse events
-            somvas.canvas.addEventListener('mousemove', (e) => {
-                const rect = somvas.canvas.getBoundingClientRect();
-                somvas.input.mouse.x = e.clientX - rect.left;
-                somvas.input.mouse.y = e.clientY - rect.top;
-            });
-            
-            somvas.canvas.addEventListener('mousedown', () => {
-                somvas.input.mouse.pressed = true;
-            });
-            
-            somvas.canvas.addEventListener('mouseup', () => {
-                somvas.input.mouse.pressed = false;
-            });
+        
+        // Call a function at this point of the sequence
+        call(callback) {
+            return this.add(new Tween({}).onStart(callback));
+        }
+        
+        // Play the whole timeline again times more (-1 for forever)
+        repeat(times) {
+            this.repeatCount = times;
+            return this;
+        }
+        
+        onComplete(callback) {
+            this.callbacks.complete = callback;
+            return this;
+        }
+        
+        // Rewind for another run (used when repeating)
+        reset() {
+            this.state = 'running';
+            this.groupIndex = 0;
+            this.groups.forEach(group => group.forEach(item => item.reset()));
+        }
+        
+        update(deltaTime) {
+            this.state = 'running';
             
-            // Touch events
-            somvas.canvas.addEventListener('touchstart', (e) => {
-                e.preventDefault();
-                const rect = somvas.canvas.getBoundingClientRect();
-                somvas.input.touch.x = e.touches[0].clientX - rect.left;
-                somvas.input.touch.y = e.touches[0].clientY - rect.top;
-                somvas.input.touch.pressed = true;
-            });
+            while (this.groupIndex < this.groups.length) {
+                const group = this.groups[this.groupIndex];
+                let done = true;
+                for (const item of group) {
+                    if (item.state !== 'completed' && item.state !== 'cancelled') {
+                        if (!item.update(deltaTime)) {
+                            done = false;
+                        }
+                    }
+                }
+                if (!done) return false;
+                
+                // Leftover time is dropped between groups (at most one frame)
+                deltaTime = 0;
+                this.groupIndex++;
+            }
             
-            somvas.canvas.addEventListener('touchmove', (e) => {
-                e.preventDefault();
-                const rect = somvas.canvas.getBoundingClientRect();
-                somvas.input.touch.x = e.touches[0].clientX - rect.left;
-                somvas.input.touch.y = e.touches[0].clientY - rect.top;
-            });
+            if (this.repeatCount !== 0) {
+                if (this.repeatCount > 0) {
+                    this.repeatCount--;
+                }
+                this.reset();
+                return false;
+            }
             
-            somvas.canvas.addEventListener('touchend', () => {
-                somvas.input.touch.pressed = false;
-            });
-        },
+            this.finish();
+            if (this.callbacks.complete) {
+                this.callbacks.complete();
+            }
+            return true;
+        }
+    }
+    
+    // Timer (calls back after a delay, optionally repeating)
+    class Timer extends TweenItem {
+        constructor(seconds, callback, times, owner) {
+            super(owner);
+            this.interval = seconds;
+            this.callback = callback;
+            this.times = times;
+            this.remaining = times;
+            this.elapsed = 0;
+        }
         
-        // Check if a key is pressed
-        isKeyPressed: function(key) {
-            return somvas.input.keys[key] || false;
-        },
+        update(deltaTime) {
+            this.state = 'running';
+            this.elapsed += deltaTime;
+            while (this.elapsed >= this.interval && this.remaining > 0) {
+                this.elapsed -= this.interval;
+                this.remaining--;
+                this.callback();
+                if (this.state === 'cancelled') return true;
+                // A zero interval fires once per frame
+                if (this.interval <= 0) break;
+            }
+            if (this.remaining <= 0) {
+                this.finish();
+                return true;
+            }
+            return false;
+        }
         
-        // Check if mouse is pressed
-        isMousePressed: function() {
-            return somvas.input.mouse.pressed;
+        // Rewind for another run (used when a timeline repeats)
+        reset() {
+            this.state = 'running';
+            this.elapsed = 0;
+            this.remaining = this.times;
+        }
+    }
+    
+    // Runs tweens, timelines and timers on scaled game time (once per frame)
+    const TweenManager = {
+        items: [],
+        
+        add: function(item) {
+            this.items.push(item);
+            return item;
         },
         
-        // Check if touch is active
-        isTouchPressed: function() {
-            return somvas.input.touch.pressed;
+        remove: function(item) {
+            const index = this.items.indexOf(item);
+            if (index !== -1) {
+                this.items.splice(index, 1);
+            }
         },
         
-        // Get mouse position
-        getMousePosition: function() {
-            return {
-                x: somvas.input.mouse.x,
-                y: somvas.input.mouse.y
-            };
+        // Cancel everything animating or owned by a target (everything if none given)
+        cancelAll: function(target) {
+            for (const item of this.items.slice()) {
+                if (target === undefined || item.target === target || item.owner === target) {
+                    item.cancel();
+                }
+            }
         },
         
-        // Get touch position
-        getTouchPosition: function() {
-            return {
-                x: somvas.input.touch.x,
-                y: somvas.input.touch.y
-            };
+        update: function(deltaTime) {
+            for (const item of this.items.slice()) {
+                if (item.state === 'cancelled') continue;
+                if (item.isOrphaned()) {
+                    item.cancel();
+                    continue;
+                }
+                if (item.paused || item.isFrozen()) continue;
+                if (item.update(deltaTime)) {
+                    this.remove(item);
+                }
+            }
         }
     };
     
-    // Base GameObject class
-    class GameObject {
-        constructor(x, y, layer = 0) {
-            this.x = x || 0;
-            this.y = y || 0;
-            this.width = 0;
-            this.height = 0;
-            this.rotation = 0;
-            this.scaleX = 1;
-            this.scaleY = 1;
-            this.visible = true;
-            this.components = [];
-            this.collider = null;
-            this.layer = layer;
+    // Named anchors for widgets (fractions of the parent's area)
+    const UI_ANCHORS = {
+        'top-left': { x: 0, y: 0 },
+        'top': { x: 0.5, y: 0 },
+        'top-right': { x: 1, y: 0 },
+        'left': { x: 0, y: 0.5 },
+        'center': { x: 0.5, y: 0.5 },
+        'right': { x: 1, y: 0.5 },
+        'bottom-left': { x: 0, y: 1 },
+        'bottom': { x: 0.5, y: 1 },
+        'bottom-right': { x: 1, y: 1 }
+    };
+    
+    // Check for a percentage size ('50%')
+    function isPercentage(size) {
+        return typeof size === 'string' && size.endsWith('%');
+    }
+    
+    // A size in pixels or a percentage of the available size
+    function resolveSize(size, available) {
+        return isPercentage(size) ? available * parseFloat(size) / 100 : size;
+    }
+    
+    // Plain child object drawing one component (used for the parts of widgets)
+    function widgetPart(parent, component) {
+        const part = new GameObject(0, 0);
+        part.addComponent(component);
+        parent.addChild(part);
+        return part;
+    }
+    
+    // Base UI widget: a screen-space game object sized and placed by the UI
+    // layout. Options: x, y, width, height (pixels or '50%'), anchor (a name
+    // like 'top-right' or { x, y }), offset ({ x, y }), theme, disabled, focusable.
+    class Widget extends GameObject {
+        constructor(options = {}) {
+            super(options.x, options.y, options.layer || 0);
+            this.screenSpace = true;
+            this.layoutWidth = options.width !== undefined ? options.width : 100;
+            this.layoutHeight = options.height !== undefined ? options.height : 32;
+            this.anchor = typeof options.anchor === 'string' ? UI_ANCHORS[options.anchor] : (options.anchor || null);
+            this.offset = options.offset || { x: 0, y: 0 };
+            this.theme = options.theme || {};
+            this.disabled = options.disabled || false;
+            this.focusable = options.focusable !== undefined ? options.focusable : false;
+            this.hovered = false;
+            this.pressed = false;
+            this.focused = false;
         }
         
-        // Add a component to the game object
-        addComponent(component) {
-            this.components.push(component);
-            component.gameObject = this;
-            if (component.start) {
-                component.start();
+        // Theme values (the widget's overrides on top of UI.theme)
+        getTheme() {
+            return Object.assign({}, UI.theme, this.theme);
+        }
+        
+        // Visual state: 'disabled', 'pressed', 'hover' or 'normal'
+        getState() {
+            if (this.disabled) return 'disabled';
+            if (this.pressed) return 'pressed';
+            if (this.hovered) return 'hover';
+            return 'normal';
+        }
+        
+        setDisabled(disabled) {
+            this.disabled = disabled;
+            if (this.isControl()) {
+                this.interactive = !disabled;
+            }
+            if (disabled && this.focused) {
+                UI.focus(null);
             }
             return this;
         }
         
-        // Get a component by type
-        getComponent(type) {
-            return this.components.find(component => component instanceof type);
+        // Whether the widget reacts to pointers (buttons, sliders, toggles)
+        isControl() {
+            return false;
         }
         
-        // Update the game object and its components
-        update(deltaTime) {
-            if (!this.visible) return;
-            
-            for (const component of this.components) {
-                if (component.update) {
-                    component.update(deltaTime);
+        // Check whether keyboard/gamepad navigation can focus this widget
+        isFocusable() {
+            if (!this.focusable || this.disabled) return false;
+            for (let current = this; current; current = current.parent) {
+                if (!current.visible || !current.active) return false;
+            }
+            return true;
+        }
+        
+        // Give this widget keyboard/gamepad focus
+        focus() {
+            UI.focus(this);
+            return this;
+        }
+        
+        // Add child widgets
+        add(...widgets) {
+            widgets.forEach(widget => this.addChild(widget));
+            return this;
+        }
+        
+        // Hit area is the widget's rectangle
+        containsPoint(x, y) {
+            const local = this.worldToLocal(x, y);
+            return Math.abs(local.x) <= this.width / 2 && Math.abs(local.y) <= this.height / 2;
+        }
+        
+        // Resolve this widget's size from the parent's area, then lay out its children
+        layout(areaWidth, areaHeight) {
+            this.width = resolveSize(this.layoutWidth, areaWidth);
+            this.height = resolveSize(this.layoutHeight, areaHeight);
+            this.refresh();
+            for (const child of this.children) {
+                if (child instanceof Widget && child.visible && child.active) {
+                    child.layout(this.width, this.height);
+                    child.placeAnchored(this.width, this.height, true);
                 }
             }
         }
         
-        // Draw the game object and its components
+        // Move to the anchor point of an area (relative to its center when centered),
+        // keeping the widget inside the area at that anchor
+        placeAnchored(areaWidth, areaHeight, centered) {
+            if (!this.anchor) return;
+            this.x = this.anchor.x * areaWidth + this.offset.x + (0.5 - this.anchor.x) * this.width;
+            this.y = this.anchor.y * areaHeight + this.offset.y + (0.5 - this.anchor.y) * this.height;
+            if (centered) {
+                this.x -= areaWidth / 2;
+                this.y -= areaHeight / 2;
+            }
+        }
+        
+        // Update the parts to the current size, state and theme
+        refresh() {
+            // Implemented by specific widgets
+        }
+        
+        // Top-level widgets lay out their whole tree against the canvas each frame
+        update(deltaTime) {
+            if (!(this.parent instanceof Widget) && somvas.canvas) {
+                this.layout(somvas.width, somvas.height);
+                this.placeAnchored(somvas.width, somvas.height, false);
+            }
+            super.update(deltaTime);
+        }
+        
+        // Pointer state (see Scene.updatePointers)
+        onPointerEnter() {
+            this.hovered = true;
+        }
+        
+        onPointerExit() {
+            this.hovered = false;
+            this.pressed = false;
+        }
+        
+        onPointerDown() {
+            this.pressed = true;
+        }
+        
+        onPointerUp() {
+            this.pressed = false;
+        }
+        
+        onDragEnd() {
+            this.pressed = false;
+        }
+        
+        // Keyboard/gamepad activation (Enter, Space, gamepad A)
+        activate() {
+            // Implemented by specific widgets
+        }
+        
+        // Handle a navigation direction while focused; true keeps focus in place
+        navigate(direction) {
+            return false;
+        }
+    }
+    
+    // Background of panels and buttons: a theme color, or a nine-slice image when
+    // the theme has one for the state
+    class WidgetBackground {
+        constructor() {
+            this.serializable = false;
+            this.rectangle = new Rectangle(0, 0);
+            this.slice = new NineSlice(null, 0, 0, 0);
+        }
+        
+        // Apply a color/image, border and size
+        set(width, height, color, image, insets, borderColor, borderWidth) {
+            this.rectangle.width = this.slice.width = width;
+            this.rectangle.height = this.slice.height = height;
+            this.slice.image = image || null;
+            this.slice.insets = typeof insets === 'number' ?
+                { left: insets, top: insets, right: insets, bottom: insets } : insets;
+            this.rectangle.fill = !image && !!color;
+            this.rectangle.color = color;
+            this.rectangle.stroke = !!borderColor;
+            this.rectangle.strokeColor = borderColor;
+            this.rectangle.strokeWidth = borderWidth;
+        }
+        
         draw(ctx) {
-            if (!this.visible) return;
+            this.slice.draw(ctx);
+            this.rectangle.draw(ctx);
+        }
+        
+        getLocalBounds() {
+            return this.rectangle.getLocalBounds();
+        }
+    }
+    
+    // Theme image for a widget state ({ normal, hover, ... } or one image for all)
+    function themeImage(image, state) {
+        if (isPlainObject(image)) {
+            return image[state] || image.normal || null;
+        }
+        return image;
+    }
+    
+    // Container with an optional background and stack layout. Options: layout
+    // ('vertical' or 'horizontal'), spacing, padding, align ('start', 'center'
+    // or 'end'), background (false for none). Width/height 'auto' fit the content.
+    class Panel extends Widget {
+        constructor(options = {}) {
+            super(Object.assign({ width: 'auto', height: 'auto' }, options));
+            this.direction = options.layout || null;
+            this.spacing = options.spacing;
+            this.padding = options.padding;
+            this.align = options.align || 'center';
+            this.showBackground = options.background !== false;
+            this.background = new WidgetBackground();
+            this.addComponent(this.background);
+        }
+        
+        // Stack children without an anchor; anchored children are placed inside the panel
+        layout(areaWidth, areaHeight) {
+            const theme = this.getTheme();
+            const spacing = this.spacing !== undefined ? this.spacing : theme.spacing;
+            const padding = this.padding !== undefined ? this.padding : theme.padding;
+            const vertical = this.direction !== 'horizontal';
+            const widgets = this.children.filter(child => child instanceof Widget && child.visible && child.active);
+            const stacked = this.direction ? widgets.filter(child => !child.anchor) : [];
             
-            ctx.save();
-            ctx.translate(this.x, this.y);
-            ctx.rotate(this.rotation);
-            ctx.scale(this.scaleX, this.scaleY);
+            // Fixed sizes first; 'auto' sizes fit the children that don't use percentages
+            this.width = this.layoutWidth === 'auto' ? 0 : resolveSize(this.layoutWidth, areaWidth);
+            this.height = this.layoutHeight === 'auto' ? 0 : resolveSize(this.layoutHeight, areaHeight);
+            for (const child of stacked) {
+                child.layout(this.width - padding * 2, this.height - padding * 2);
+            }
             
-            for (const component of this.components) {
-                if (component.draw) {
-                    component.draw(ctx);
+            const crossAuto = vertical ? this.layoutWidth === 'auto' : this.layoutHeight === 'auto';
+            if (crossAuto) {
+                let across = 0;
+                for (const child of stacked) {
+                    if (!isPercentage(vertical ? child.layoutWidth : child.layoutHeight)) {
+                        across = Math.max(across, vertical ? child.width : child.height);
+                    }
+                }
+                if (vertical) {
+                    this.width = across + padding * 2;
+                } else {
+                    this.height = across + padding * 2;
+                }
+                // Percentages resolve against the fitted size
+                for (const child of stacked) {
+                    if (isPercentage(child.layoutWidth) || isPercentage(child.layoutHeight)) {
+                        child.layout(this.width - padding * 2, this.height - padding * 2);
+                    }
                 }
             }
             
-            // Draw collider in debug mode
-            if (somvas.debugMode && this.collider) {
-                this.collider.draw(ctx);
+            let along = Math.max(stacked.length - 1, 0) * spacing;
+            for (const child of stacked) {
+                along += vertical ? child.height : child.width;
+            }
+            if (vertical && this.layoutHeight === 'auto') {
+                this.height = along + padding * 2;
+            } else if (!vertical && this.layoutWidth === 'auto') {
+                this.width = along + padding * 2;
             }
             
-            ctx.restore();
+            // Place the stack from the top/left edge, aligned across
+            let position = -(vertical ? this.height : this.width) / 2 + padding;
+            const crossSize = (vertical ? this.width : this.height) - padding * 2;
+            for (const child of stacked) {
+                const size = vertical ? child.height : child.width;
+                const childCross = vertical ? child.width : child.height;
+                let cross = 0;
+                if (this.align === 'start') cross = -(crossSize - childCross) / 2;
+                if (this.align === 'end') cross = (crossSize - childCross) / 2;
+                if (vertical) {
+                    child.x = cross;
+                    child.y = position + size / 2;
+                } else {
+                    child.x = position + size / 2;
+                    child.y = cross;
+                }
+                position += size + spacing;
+            }
+            
+            for (const child of widgets) {
+                if (stacked.indexOf(child) === -1) {
+                    child.layout(this.width, this.height);
+                    child.placeAnchored(this.width, this.height, true);
+                }
+            }
+            this.refresh();
         }
         
-        // Set a collider for this game object
-        setCollider(type, ...args) {
-            this.collider = new type(this, ...args);
-            return this.collider;
+        refresh() {
+            const theme = this.getTheme();
+            this.background.set(
+                this.width,
+                this.height,
+                this.showBackground ? theme.panelColor : null,
+                this.showBackground ? themeImage(theme.panelImage, 'normal') : null,
+                theme.sliceInsets,
+                null,
+                0
+            );
         }
-        
-        // Check collision with another game object
-        checkCollision(other) {
-            if (!this.collider || !other.collider) return false;
-            return this.collider.checkCollision(other.collider);
+    }
+    
+    // Text widget. Options: text, align ('left', 'center' or 'right'), wrap
+    // (wrap to the width), color, font. Without a width it sizes to the text.
+    class Label extends Widget {
+        constructor(options = {}) {
+            super(Object.assign({ width: 'auto', height: 'auto' }, options));
+            this.text = options.text !== undefined ? String(options.text) : '';
+            this.textAlign = options.align || 'center';
+            this.wrap = options.wrap || false;
+            this.color = options.color || null;
+            this.font = options.font || null;
+            this.label = new Text(this.text, {});
+            this.textPart = widgetPart(this, this.label);
         }
         
-        // Set the layer (z-index) for this game object
-        setLayer(layer) {
-            this.layer = layer;
-            // If this object is in a scene, sort the scene's objects by layer
-            if (this.scene) {
-                this.scene.sortObjectsByLayer();
-            }
+        setText(text) {
+            this.text = String(text);
             return this;
         }
         
-        // Get the layer of this game object
-        getLayer() {
-            return this.layer;
+        layout(areaWidth, areaHeight) {
+            const theme = this.getTheme();
+            const fixedWidth = this.layoutWidth !== 'auto';
+            const width = fixedWidth ? resolveSize(this.layoutWidth, areaWidth) : 0;
+            this.label.text = this.text;
+            this.label.style = {
+                font: this.font || theme.font,
+                fill: this.color || (this.disabled ? theme.disabledTextColor : theme.textColor),
+                align: this.textAlign,
+                baseline: 'middle',
+                wrapWidth: this.wrap && fixedWidth ? width : 0
+            };
+            
+            const size = somvas.ctx ? this.label.measure() : { width: 0, height: this.label.getLineHeight() };
+            this.width = fixedWidth ? width : size.width;
+            this.height = this.layoutHeight === 'auto' ? size.height : resolveSize(this.layoutHeight, areaHeight);
+            
+            const edge = { left: -this.width / 2, center: 0, right: this.width / 2 };
+            this.textPart.x = edge[this.textAlign] || 0;
         }
     }
     
-    // Sprite component
-    class Sprite {
-        constructor(image, width, height) {
-            this.image = image;
-            this.width = width;
-            this.height = height;
-            this.opacity = 1;
+    // Clickable button with normal/hover/pressed/disabled states. Options: text,
+    // onClick(button), plus the Widget options.
+    class Button extends Widget {
+        constructor(options = {}) {
+            super(Object.assign({ width: 160, height: 40, focusable: true }, options));
+            this.interactive = !this.disabled;
+            this.callbacks = { click: options.onClick || null };
+            this.background = new WidgetBackground();
+            this.addComponent(this.background);
+            this.label = new Label({ text: options.text || '', theme: this.theme });
+            this.addChild(this.label);
         }
         
-        // Draw the sprite
-        draw(ctx) {
-            if (this.image) {
-                ctx.globalAlpha = this.opacity;
-                ctx.drawImage(
-                    this.image, 
-                    -this.width / 2, 
-                    -this.height / 2, 
-                    this.width, 
-                    this.height
-                );
-                ctx.globalAlpha = 1;
+        isControl() {
+            return true;
+        }
+        
+        setText(text) {
+            this.label.setText(text);
+            return this;
+        }
+        
+        // Pointer click (see Scene.updatePointers)
+        onClick() {
+            this.activate();
+        }
+        
+        activate() {
+            if (this.disabled) return;
+            if (this.callbacks.click) {
+                this.callbacks.click(this);
             }
         }
+        
+        refresh() {
+            const theme = this.getTheme();
+            const state = this.getState();
+            const colors = {
+                normal: theme.buttonColor,
+                hover: theme.hoverColor,
+                pressed: theme.pressedColor,
+                disabled: theme.disabledColor
+            };
+            this.background.set(
+                this.width,
+                this.height,
+                colors[state],
+                themeImage(theme.buttonImage, state),
+                theme.sliceInsets,
+                this.focused ? theme.focusColor : null,
+                theme.borderWidth
+            );
+            this.label.disabled = this.disabled;
+        }
     }
     
-    // Text component
-    class Text {
-        constructor(text, style) {
-            this.text = text;
-            this.style = style || {
-                font: '16px Arial',
-                fill: 'white',
-                align: 'center',
-                baseline: 'middle'
-            };
+    // On/off switch with a label. Options: text, checked, onChange(checked, toggle).
+    class Toggle extends Widget {
+        constructor(options = {}) {
+            super(Object.assign({ width: 200, height: 28, focusable: true }, options));
+            this.interactive = !this.disabled;
+            this.checked = options.checked || false;
+            this.callbacks = { change: options.onChange || null };
+            this.box = new WidgetBackground();
+            this.mark = new Rectangle(0, 0);
+            this.boxPart = widgetPart(this, this.box);
+            this.boxPart.addComponent(this.mark);
+            this.label = new Label({ text: options.text || '', align: 'left', theme: this.theme });
+            this.addChild(this.label);
         }
         
-        // Draw the text
-        draw(ctx) {
-            ctx.font = this.style.font;
-            ctx.fillStyle = this.style.fill;
-            ctx.textAlign = this.style.align;
-            ctx.textBaseline = this.style.baseline;
-            ctx.fillText(this.text, 0, 0);
+        isControl() {
+            return true;
         }
-    }
-    
-    // Shape component (rectangle)
-    class Rectangle {
-        constructor(width, height, color) {
-            this.width = width;
-            this.height = height;
-            this.color = color || 'white';
-            this.fill = true;
-            this.stroke = false;
-            this.strokeColor = 'black';
-            this.strokeWidth = 1;
+        
+        setChecked(checked) {
+            if (this.checked === checked) return this;
+            this.checked = checked;
+            if (this.callbacks.change) {
+                this.callbacks.change(checked, this);
+            }
+            return this;
         }
         
-        // Draw the rectangle
-        draw(ctx) {
-            if (this.fill) {
-                ctx.fillStyle = this.color;
-                ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
+        onClick() {
+            this.activate();
+        }
+        
+        activate() {
+            if (!this.disabled) {
+                this.setChecked(!this.checked);
             }
+        }
+        
+        refresh() {
+            const theme = this.getTheme();
+            const size = this.height;
+            this.boxPart.x = -this.width / 2 + size / 2;
+            this.box.set(
+                size,
+                size,
+                this.disabled ? theme.disabledColor : (this.hovered ? theme.hoverColor : theme.buttonColor),
+                null,
+                0,
+                this.focused ? theme.focusColor : null,
+                theme.borderWidth
+            );
+            this.mark.width = this.mark.height = size * 0.55;
+            this.mark.color = theme.accentColor;
+            this.mark.fill = this.checked;
             
-            if (this.stroke) {
-                ctx.strokeStyle = this.strokeColor;
-                ctx.lineWidth = this.strokeWidth;
-                ctx.strokeRect(-this.width / 2, -this.height / 2, this.width, this.height);
-            }
+            this.label.disabled = this.disabled;
+            this.label.x = size / 2 + theme.spacing / 2;
+            this.label.layoutWidth = this.width - size - theme.spacing;
         }
     }
     
-    // Shape component (circle)
-    class Circle {
-        constructor(radius, color) {
-            this.radius = radius;
-            this.color = color || 'white';
-            this.fill = true;
-            this.stroke = false;
-            this.strokeColor = 'black';
-            this.strokeWidth = 1;
+    // Horizontal slider. Options: value, min, max, step, onChange(value, slider).
+    // Dragging, clicking the track and left/right while focused change the value.
+    class Slider extends Widget {
+        constructor(options = {}) {
+            super(Object.assign({ width: 200, height: 24, focusable: true }, options));
+            this.interactive = !this.disabled;
+            this.min = options.min !== undefined ? options.min : 0;
+            this.max = options.max !== undefined ? options.max : 1;
+            this.step = options.step || 0;
+            this.value = MathUtils.clamp(options.value !== undefined ? options.value : this.min, this.min, this.max);
+            this.callbacks = { change: options.onChange || null };
+            this.track = new Rectangle(0, 0);
+            this.fill = new Rectangle(0, 0);
+            this.handle = new WidgetBackground();
+            widgetPart(this, this.track);
+            this.fillPart = widgetPart(this, this.fill);
+            this.handlePart = widgetPart(this, this.handle);
         }
         
-        // Draw the circle
-        draw(ctx) {
-            ctx.beginPath();
-            ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
-            
-            if (this.fill) {
-                ctx.fillStyle = this.color;
-                ctx.fill();
+        isControl() {
+            return true;
+        }
+        
+        // Set the value (clamped and snapped to step), calling onChange if it changed
+        setValue(value) {
+            value = MathUtils.clamp(value, this.min, this.max);
+            if (this.step > 0) {
+                value = MathUtils.clamp(this.min + Math.round((value - this.min) / this.step) * this.step, this.min, this.max);
             }
-            
-            if (this.stroke) {
-                ctx.strokeStyle = this.strokeColor;
-                ctx.lineWidth = this.strokeWidth;
-                ctx.stroke();
+            if (value === this.value) return this;
+            this.value = value;
+            if (this.callbacks.change) {
+                this.callbacks.change(value, this);
             }
+            return this;
         }
-    }
-    
-    // Colliders
-    class Collider {
-        constructor(gameObject) {
-            this.gameObject = gameObject;
+        
+        // Value at a pointer position
+        setValueFromPointer(event) {
+            if (this.disabled) return;
+            const local = this.worldToLocal(event.x, event.y);
+            const usable = this.width - this.height;
+            const t = usable > 0 ? MathUtils.clamp((local.x + usable / 2) / usable, 0, 1) : 0;
+            this.setValue(MathUtils.lerp(this.min, this.max, t));
         }
         
-        checkCollision(other) {
-            return false;
+        onPointerDown(event) {
+            super.onPointerDown(event);
+            this.setValueFromPointer(event);
         }
         
-        draw(ctx) {
-            // To be implemented by specific colliders
+        onDrag(event) {
+            this.setValueFromPointer(event);
+        }
+        
+        navigate(direction) {
+            if (direction !== 'left' && direction !== 'right') return false;
+            const amount = this.step > 0 ? this.step : (this.max - this.min) / 10;
+            this.setValue(this.value + (direction === 'left' ? -amount : amount));
+            return true;
+        }
+        
+        refresh() {
+            const theme = this.getTheme();
+            const t = this.max > this.min ? (this.value - this.min) / (this.max - this.min) : 0;
+            const trackHeight = Math.max(this.height / 4, 2);
+            const usable = this.width - this.height;
+            const handleX = -usable / 2 + usable * t;
+            
+            this.track.width = this.width - this.height;
+            this.track.height = trackHeight;
+            this.track.color = theme.trackColor;
+            this.fill.width = usable * t;
+            this.fill.height = trackHeight;
+            this.fill.color = this.disabled ? theme.disabledColor : theme.accentColor;
+            this.fillPart.x = -usable / 2 + this.fill.width / 2;
+            
+            this.handlePart.x = handleX;
+            this.handle.set(
+                this.height,
+                this.height,
+                this.disabled ? theme.disabledColor : (this.pressed ? theme.pressedColor : (this.hovered ? theme.hoverColor : theme.buttonColor)),
+                themeImage(theme.buttonImage, this.getState()),
+                theme.sliceInsets,
+                this.focused ? theme.focusColor : null,
+                theme.borderWidth
+            );
         }
     }
     
-    class BoxCollider extends Collider {
-        constructor(gameObject, width, height, offsetX = 0, offsetY = 0) {
-            super(gameObject);
-            this.width = width;
-            this.height = height;
-            this.offsetX = offsetX;
-            this.offsetY = offsetY;
+    // Progress bar. Options: value (0 to 1), color.
+    class ProgressBar extends Widget {
+        constructor(options = {}) {
+            super(Object.assign({ width: 200, height: 16 }, options));
+            this.value = options.value || 0;
+            this.color = options.color || null;
+            this.track = new Rectangle(0, 0);
+            this.fill = new Rectangle(0, 0);
+            widgetPart(this, this.track);
+            this.fillPart = widgetPart(this, this.fill);
         }
         
-        checkCollision(other) {
-            if (other instanceof BoxCollider) {
-                return MathUtils.rectOverlap(
-                    {
-                        x: this.gameObject.x + this.offsetX - this.width / 2,
-                        y: this.gameObject.y + this.offsetY - this.height / 2,
-                        width: this.width,
-                        height: this.height
-                    },
-                    {
-                        x: other.gameObject.x + other.offsetX - other.width / 2,
-                        y: other.gameObject.y + other.offsetY - other.height / 2,
-                        width: other.width,
-                        height: other.height
-                    }
-                );
-            } else if (other instanceof CircleCollider) {
-                // Box vs Circle collision
-                const closestX = MathUtils.clamp(
-                    other.gameObject.x + other.offsetX,
-                    this.gameObject.x + this.offsetX - this.width / 2,
-                    this.gameObject.x + this.offsetX + this.width / 2
-                );
-                
-                const closestY = MathUtils.clamp(
-                    other.gameObject.y + other.offsetY,
-                    this.gameObject.y + this.offsetY - this.height / 2,
-                    this.gameObject.y + this.offsetY + this.height / 2
-                );
-                
-                const distance = MathUtils.distance(
-                    other.gameObject.x + other.offsetX,
-                    other.gameObject.y + other.offsetY,
-                    closestX,
-                    closestY
-                );
-                
-                return distance < other.radius;
-            }
-            return false;
+        setValue(value) {
+            this.value = MathUtils.clamp(value, 0, 1);
+            return this;
         }
         
-        draw(ctx) {
-            ctx.strokeStyle = 'red';
-            ctx.lineWidth = 1;
-            ctx.strokeRect(
-                this.offsetX - this.width / 2,
-                this.offsetY - this.height / 2,
-                this.width,
-                this.height
-            );
+        refresh() {
+            const theme = this.getTheme();
+            this.track.width = this.width;
+            this.track.height = this.height;
+            this.track.color = theme.trackColor;
+            this.fill.width = this.width * MathUtils.clamp(this.value, 0, 1);
+            this.fill.height = this.height;
+            this.fill.color = this.color || theme.accentColor;
+            this.fillPart.x = -this.width / 2 + this.fill.width / 2;
         }
     }
     
-    class CircleCollider extends Collider {
-        constructor(gameObject, radius, offsetX = 0, offsetY = 0) {
-            super(gameObject);
-            this.radius = radius;
-            this.offsetX = offsetX;
-            this.offsetY = offsetY;
+    // UI theme, focus and keyboard/gamepad navigation
+    const UI = {
+        // Colors, fonts and spacing used by the widgets (override per widget with options.theme)
+        theme: {
+            font: '16px Arial',
+            textColor: '#ffffff',
+            disabledTextColor: '#8a8f98',
+            panelColor: 'rgba(20, 22, 28, 0.85)',
+            buttonColor: '#3a3f4b',
+            hoverColor: '#4b5263',
+            pressedColor: '#2c313a',
+            disabledColor: '#2a2d33',
+            accentColor: '#4fa3ff',
+            trackColor: '#1d2026',
+            focusColor: '#ffd84f',
+            borderWidth: 2,
+            padding: 12,
+            spacing: 8,
+            // Nine-slice images (an image, asset name, or { normal, hover, pressed, disabled })
+            buttonImage: null,
+            panelImage: null,
+            sliceInsets: 8
+        },
+        
+        // Input codes for each navigation action
+        navigation: {
+            up: ['ArrowUp', 'gamepad:DpadUp'],
+            down: ['ArrowDown', 'gamepad:DpadDown'],
+            left: ['ArrowLeft', 'gamepad:DpadLeft'],
+            right: ['ArrowRight', 'gamepad:DpadRight'],
+            next: ['Tab'],
+            activate: ['Enter', 'Space', 'gamepad:A']
+        },
+        
+        // Focused widget (null if none)
+        focused: null,
+        
+        // Merge values into the theme
+        setTheme: function(theme) {
+            Object.assign(this.theme, theme);
+        },
+        
+        // Move focus to a widget (null clears it)
+        focus: function(widget) {
+            if (this.focused) {
+                this.focused.focused = false;
+            }
+            this.focused = widget;
+            if (widget) {
+                widget.focused = true;
+            }
+        },
+        
+        // Focusable widgets of a scene in draw order
+        getFocusable: function(scene) {
+            return scene.getDrawOrder().filter(object => object instanceof Widget && object.isFocusable());
+        },
+        
+        // Nearest focusable widget in a direction from the focused one
+        findInDirection: function(widgets, direction) {
+            const from = this.focused.getWorldPosition();
+            const axis = { up: { x: 0, y: -1 }, down: { x: 0, y: 1 }, left: { x: -1, y: 0 }, right: { x: 1, y: 0 } }[direction];
+            let best = null;
+            let bestScore = Infinity;
+            for (const widget of widgets) {
+                if (widget === this.focused) continue;
+                const to = widget.getWorldPosition();
+                const dx = to.x - from.x;
+                const dy = to.y - from.y;
+                const along = dx * axis.x + dy * axis.y;
+                if (along <= 0) continue;
+                // Prefer widgets straight ahead over closer ones off to the side
+                const score = along + Math.abs(dx * axis.y + dy * axis.x) * 2;
+                if (score < bestScore) {
+                    best = widget;
+                    bestScore = score;
+                }
+            }
+            return best;
+        },
+        
+        // Handle navigation input for a scene (called by Scene.update)
+        update: function(scene) {
+            if (this.focused && (this.focused.scene !== scene || !this.focused.isFocusable())) {
+                this.focus(null);
+            }
+            const pressed = action => this.navigation[action].some(code => Input.wasPressed(code));
+            
+            const widgets = this.getFocusable(scene);
+            if (widgets.length === 0) return;
+            
+            if (pressed('next')) {
+                const shift = Input.isDown('ShiftLeft') || Input.isDown('ShiftRight');
+                const index = widgets.indexOf(this.focused);
+                const next = index === -1 ? 0 : (index + (shift ? -1 : 1) + widgets.length) % widgets.length;
+                this.focus(widgets[next]);
+                return;
+            }
+            
+            for (const direction of ['up', 'down', 'left', 'right']) {
+                if (!pressed(direction)) continue;
+                if (!this.focused) {
+                    this.focus(widgets[0]);
+                } else if (!this.focused.navigate(direction)) {
+                    const target = this.findInDirection(widgets, direction);
+                    if (target) {
+                        this.focus(target);
+                    }
+                }
+                return;
+            }
+            
+            if (this.focused && pressed('activate')) {
+                this.focused.activate();
+            }
         }
+    };
+    
+    // Fields that change in small steps when edited in the inspector
+    const FINE_FIELDS = /rotation|scale|alpha|opacity|restitution|friction|drag|speed/i;
+    
+    // Context methods counted as draw calls
+    const DRAW_METHODS = ['fillRect', 'strokeRect', 'fill', 'stroke', 'drawImage', 'fillText', 'strokeText'];
+    
+    // In-canvas debug overlay (shown while somvas.debugMode is on): frame stats,
+    // a frame-time graph, gizmos and an inspector for the clicked object
+    const Debug = {
+        // Key codes: toggle the overlay, pause/resume and step one frame while paused
+        keys: { toggle: 'Backquote', pause: 'F8', step: 'F10' },
+        // What the scenes draw over their objects
+        gizmos: { colliders: true, origins: true, bounds: true, velocities: true },
+        // Seconds of movement shown by velocity arrows
+        velocityScale: 0.25,
+        font: '11px monospace',
+        rowHeight: 14,
+        panelWidth: 250,
+        // Frame times (ms) of the last frames, oldest first
+        history: [],
+        historySize: 120,
+        updateTime: 0,
+        drawTime: 0,
+        drawCalls: 0,
+        countingCalls: 0,
+        // Inspected object, the inspector rows of the last draw and the field being dragged
+        selected: null,
+        rows: [],
+        panel: null,
+        editing: null,
+        stepRequested: false,
+        
+        // Remember the real duration of a frame (seconds)
+        recordFrame: function(frameTime) {
+            this.history.push(frameTime * 1000);
+            if (this.history.length > this.historySize) {
+                this.history.shift();
+            }
+        },
+        
+        // Average frames per second over the recorded frames
+        getFPS: function() {
+            if (this.history.length === 0) return 0;
+            const average = this.history.reduce((sum, time) => sum + time, 0) / this.history.length;
+            return average > 0 ? 1000 / average : 0;
+        },
+        
+        // Handle the hotkeys, picking and inspector editing (runs while paused too)
+        update: function() {
+            if (!somvas.input.frame) return;
+            if (Input.wasPressed(this.keys.toggle)) {
+                somvas.toggleDebug();
+            }
+            if (!somvas.debugMode) return;
+            
+            if (Input.wasPressed(this.keys.pause)) {
+                if (somvas.isPaused) {
+                    somvas.resume();
+                } else {
+                    somvas.pause();
+                }
+            }
+            if (Input.wasPressed(this.keys.step) && somvas.isPaused) {
+                this.stepRequested = true;
+            }
+            
+            if (this.selected && (!this.selected.scene || this.selected.scene !== somvas.currentScene)) {
+                this.select(null);
+            }
+            
+            const mouse = somvas.input.mouse;
+            const row = this.getRowAt(mouse.x, mouse.y);
+            if (Input.wasPressed('mouse:left')) {
+                if (this.isOverPanel(mouse.x, mouse.y)) {
+                    if (row && row.editable) {
+                        this.editing = { row: row, startX: mouse.x, startValue: row.get() };
+                    }
+                } else if (somvas.currentScene) {
+                    this.select(this.pick(somvas.currentScene, mouse.x, mouse.y));
+                }
+            }
+            
+            // Drag a numeric field sideways to change it, or use the wheel over it
+            const fine = Input.isDown('ShiftLeft') || Input.isDown('ShiftRight');
+            if (this.editing) {
+                if (!Input.isMousePressed()) {
+                    this.editing = null;
+                } else {
+                    const editing = this.editing;
+                    editing.row.set(editing.startValue + (mouse.x - editing.startX) * this.getStep(editing.row, fine));
+                }
+            } else if (row && row.editable && mouse.wheelY !== 0) {
+                row.set(row.get() - Math.sign(mouse.wheelY) * this.getStep(row, fine));
+            }
+        },
+        
+        // Whether a paused engine should run one frame now
+        consumeStep: function() {
+            const step = this.stepRequested;
+            this.stepRequested = false;
+            return step;
+        },
+        
+        // Inspect an object (null to close the inspector)
+        select: function(gameObject) {
+            this.selected = gameObject;
+            this.editing = null;
+            this.rows = [];
+            this.panel = null;
+        },
+        
+        // Topmost visible object of a scene at a screen position, interactive or not
+        pick: function(scene, screenX, screenY) {
+            const world = scene.camera.screenToWorld(screenX, screenY);
+            const order = scene.getDrawOrder();
+            for (let i = order.length - 1; i >= 0; i--) {
+                const gameObject = order[i];
+                const point = gameObject.getRoot().screenSpace ? { x: screenX, y: screenY } : world;
+                if (gameObject.containsPoint(point.x, point.y)) {
+                    return gameObject;
+                }
+            }
+            return null;
+        },
+        
+        // Change per pixel dragged (shift for finer steps)
+        getStep: function(row, fine) {
+            const step = FINE_FIELDS.test(row.label) ? 0.01 : 1;
+            return fine ? step / 10 : step;
+        },
+        
+        // Check whether a screen point is over the inspector
+        isOverPanel: function(x, y) {
+            const panel = this.panel;
+            return !!panel && x >= panel.x && x <= panel.x + panel.width && y >= panel.y && y <= panel.y + panel.height;
+        },
+        
+        // Inspector row at a screen point (or null)
+        getRowAt: function(x, y) {
+            if (!this.isOverPanel(x, y)) return null;
+            return this.rows.find(row => y >= row.y && y < row.y + this.rowHeight) || null;
+        },
+        
+        // Inspector rows of an object: transform, layer, tag, then each component's
+        // fields (numbers, booleans, strings and one level of { x, y } style objects)
+        buildRows: function(gameObject) {
+            const rows = [];
+            const addField = (label, owner, key) => {
+                const value = owner[key];
+                if (typeof value === 'number') {
+                    rows.push({
+                        label: label,
+                        owner: owner,
+                        key: key,
+                        editable: true,
+                        get: () => owner[key],
+                        set: (newValue) => {
+                            owner[key] = newValue;
+                        }
+                    });
+                } else if (typeof value === 'boolean' || typeof value === 'string' || value === null) {
+                    rows.push({ label: label, editable: false, get: () => owner[key] });
+                }
+            };
+            
+            rows.push({ heading: gameObject.constructor.name });
+            ['x', 'y', 'rotation', 'scaleX', 'scaleY', 'layer', 'tag', 'visible', 'screenSpace'].forEach(key => addField(key, gameObject, key));
+            
+            const components = gameObject.collider ? gameObject.components.concat(gameObject.collider) : gameObject.components;
+            for (const component of components) {
+                rows.push({ heading: component.constructor.name || 'Component' });
+                for (const key of Object.keys(component)) {
+                    const value = component[key];
+                    if (key === 'gameObject' || value === null || value === undefined) continue;
+                    if (isPlainObject(value)) {
+                        Object.keys(value).forEach(field => addField(`${key}.${field}`, value, field));
+                    } else {
+                        addField(key, component, key);
+                    }
+                }
+            }
+            return rows;
+        },
+        
+        // Count draw calls made through a context (wraps its draw methods)
+        instrument: function(ctx) {
+            if (!ctx || ctx.debugInstrumented) return;
+            ctx.debugInstrumented = true;
+            DRAW_METHODS.forEach(method => {
+                const original = ctx[method];
+                ctx[method] = function(...args) {
+                    Debug.countingCalls++;
+                    return original.apply(this, args);
+                };
+            });
+        },
         
-        checkCollision(other) {
-            if (other instanceof CircleCollider) {
-                return MathUtils.circleOverlap(
-                    {
-                        x: this.gameObject.x + this.offsetX,
-                        y: this.gameObject.y + this.offsetY,
-                        radius: this.radius
-                    },
-                    {
-                        x: other.gameObject.x + other.offsetX,
-                        y: other.gameObject.y + other.offsetY,
-                        radius: other.radius
+        // Restore a context's own draw methods
+        uninstrument: function(ctx) {
+            if (!ctx || !ctx.debugInstrumented) return;
+            DRAW_METHODS.forEach(method => delete ctx[method]);
+            delete ctx.debugInstrumented;
+        },
+        
+        // Start counting the draw calls of a frame
+        beginFrame: function(ctx) {
+            this.instrument(ctx);
+            this.countingCalls = 0;
+        },
+        
+        // Stop counting (the overlay's own calls aren't counted)
+        endFrame: function() {
+            this.drawCalls = this.countingCalls;
+        },
+        
+        // Draw the gizmos of a scene's world or screen-space objects
+        drawGizmos: function(ctx, scene, screenSpace) {
+            const gizmos = this.gizmos;
+            const lineWidth = screenSpace ? 1 : 1 / scene.camera.zoom;
+            for (const gameObject of scene.getVisibleObjects()) {
+                if (gameObject.getRoot().screenSpace !== screenSpace) continue;
+                
+                if (gizmos.colliders && gameObject.collider) {
+                    gameObject.collider.draw(ctx);
+                }
+                ctx.lineWidth = lineWidth;
+                if (gizmos.bounds || gameObject === this.selected) {
+                    const bounds = gameObject.getBounds();
+                    if (bounds) {
+                        ctx.strokeStyle = gameObject === this.selected ? '#ffd84f' : 'rgba(79, 163, 255, 0.8)';
+                        ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
                     }
-                );
-            } else if (other instanceof BoxCollider) {
-                return other.checkCollision(this);
+                }
+                
+                const origin = gameObject.getWorldPosition();
+                if (gizmos.origins) {
+                    const size = 4 * lineWidth;
+                    ctx.strokeStyle = '#ffffff';
+                    ctx.beginPath();
+                    ctx.moveTo(origin.x - size, origin.y);
+                    ctx.lineTo(origin.x + size, origin.y);
+                    ctx.moveTo(origin.x, origin.y - size);
+                    ctx.lineTo(origin.x, origin.y + size);
+                    ctx.stroke();
+                }
+                
+                const rigidbody = gameObject.getComponent(Rigidbody);
+                if (gizmos.velocities && rigidbody && (rigidbody.velocity.x !== 0 || rigidbody.velocity.y !== 0)) {
+                    const endX = origin.x + rigidbody.velocity.x * this.velocityScale;
+                    const endY = origin.y + rigidbody.velocity.y * this.velocityScale;
+                    const angle = Math.atan2(endY - origin.y, endX - origin.x);
+                    const head = 6 * lineWidth;
+                    ctx.strokeStyle = '#4fff8a';
+                    ctx.beginPath();
+                    ctx.moveTo(origin.x, origin.y);
+                    ctx.lineTo(endX, endY);
+                    ctx.lineTo(endX - head * Math.cos(angle - 0.5), endY - head * Math.sin(angle - 0.5));
+                    ctx.moveTo(endX, endY);
+                    ctx.lineTo(endX - head * Math.cos(angle + 0.5), endY - head * Math.sin(angle + 0.5));
+                    ctx.stroke();
+                }
             }
-            return false;
-        }
+        },
         
-        draw(ctx) {
-            ctx.strokeStyle = 'red';
-            ctx.lineWidth = 1;
-            ctx.beginPath();
-            ctx.arc(this.offsetX, this.offsetY, this.radius, 0, Math.PI * 2);
-            ctx.stroke();
+        // Draw the stats panel, the frame-time graph and the inspector
+        draw: function(ctx) {
+            ctx.save();
+            ctx.font = this.font;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            
+            const scenes = somvas.getVisibleScenes();
+            const lines = [
+                `FPS ${this.getFPS().toFixed(1)}${somvas.isPaused ? '  (paused)' : ''}`,
+                `update ${this.updateTime.toFixed(2)} ms  draw ${this.drawTime.toFixed(2)} ms`,
+                `draw calls ${this.drawCalls}`
+            ];
+            for (const scene of scenes) {
+                const objects = scene.getAllObjects();
+                const components = objects.reduce((sum, object) => sum + object.components.length, 0);
+                lines.push(`${scene.name}: ${objects.length} objects, ${components} components`);
+            }
+            
+            // Stats
+            const x = 8;
+            const graphHeight = 40;
+            const height = lines.length * this.rowHeight + graphHeight + 16;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(x, 8, this.panelWidth, height);
+            ctx.fillStyle = '#ffffff';
+            lines.forEach((line, i) => ctx.fillText(line, x + 6, 12 + i * this.rowHeight));
+            
+            // Frame times: full height is 33 ms, the line marks 60 FPS
+            const graphY = 12 + lines.length * this.rowHeight;
+            const graphWidth = this.panelWidth - 12;
+            const barWidth = graphWidth / this.historySize;
+            this.history.forEach((time, i) => {
+                const barHeight = Math.min(time / 33.3, 1) * graphHeight;
+                ctx.fillStyle = time > 33.3 ? '#ff5f5f' : time > 16.7 ? '#ffd84f' : '#4fff8a';
+                ctx.fillRect(x + 6 + i * barWidth, graphY + graphHeight - barHeight, Math.max(barWidth, 1), barHeight);
+            });
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+            ctx.fillRect(x + 6, graphY + graphHeight * 0.5, graphWidth, 1);
+            
+            if (this.selected) {
+                this.drawInspector(ctx);
+            }
+            ctx.restore();
+        },
+        
+        // Draw the selected object's fields (numbers can be dragged or scrolled)
+        drawInspector: function(ctx) {
+            const rows = this.buildRows(this.selected);
+            const width = this.panelWidth;
+            const x = somvas.width - width - 8;
+            const y = 8;
+            this.panel = { x: x, y: y, width: width, height: rows.length * this.rowHeight + 8 };
+            this.rows = rows;
+            
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(x, y, width, this.panel.height);
+            rows.forEach((row, i) => {
+                row.y = y + 4 + i * this.rowHeight;
+                if (row.heading) {
+                    ctx.fillStyle = '#4fa3ff';
+                    ctx.fillText(row.heading, x + 6, row.y);
+                    return;
+                }
+                
+                const value = row.get();
+                const text = typeof value === 'number' ? String(Math.round(value * 1000) / 1000) : String(value);
+                const active = this.editing && this.editing.row.owner === row.owner && this.editing.row.key === row.key;
+                ctx.fillStyle = '#b8bcc6';
+                ctx.fillText(row.label, x + 14, row.y);
+                ctx.fillStyle = active ? '#ffd84f' : row.editable ? '#ffffff' : '#8a8f98';
+                ctx.fillText(text, x + width * 0.55, row.y);
+            });
         }
-    }
+    };
     
-    // Scene class
-    class Scene {
-        constructor(name) {
-            this.name = name;
-            this.gameObjects = [];
-            this.background = null;
-        }
-        
-        // Add a game object to the scene
-        add(gameObject) {
-            this.gameObjects.push(gameObject);
-            gameObject.scene = this;
-            // Sort objects by layer after adding
-            this.sortObjectsByLayer();
-            return gameObject;
+    // Canvas methods and properties the engine uses (the recording renderer implements these)
+    const CONTEXT_METHODS = [
+        'save', 'restore', 'translate', 'rotate', 'scale', 'transform', 'setTransform', 'resetTransform',
+        'clearRect', 'fillRect', 'strokeRect', 'beginPath', 'closePath', 'moveTo', 'lineTo', 'rect',
+        'arc', 'ellipse', 'quadraticCurveTo', 'bezierCurveTo', 'fill', 'stroke', 'clip',
+        'drawImage', 'fillText', 'strokeText', 'setLineDash'
+    ];
+    const CONTEXT_PROPERTIES = [
+        'fillStyle', 'strokeStyle', 'globalAlpha', 'globalCompositeOperation', 'lineWidth',
+        'lineCap', 'lineJoin', 'font', 'textAlign', 'textBaseline', 'imageSmoothingEnabled'
+    ];
+    
+    // Stand-in for a 2D canvas context in headless mode. Draw calls are
+    // recorded as { method, args } and property writes as { property, value }
+    // (nothing is recorded when record is false).
+    class RecordingContext {
+        constructor(canvas, record = true) {
+            this.canvas = canvas;
+            this.record = record;
+            this.calls = [];
+            this.state = {
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                globalAlpha: 1,
+                globalCompositeOperation: 'source-over',
+                lineWidth: 1,
+                lineCap: 'butt',
+                lineJoin: 'miter',
+                font: '10px sans-serif',
+                textAlign: 'start',
+                textBaseline: 'alphabetic',
+                imageSmoothingEnabled: true
+            };
         }
         
-        // Remove a game object from the scene
-        remove(gameObject) {
-            const index = this.gameObjects.indexOf(gameObject);
-            if (index !== -1) {
-                this.gameObjects.splice(index, 1);
-                gameObject.scene = null;
-            }
+        // Forget the recorded calls
+        clear() {
+            this.calls.length = 0;
         }
         
-        // Find game objects by tag
-        find(tag) {
-            return this.gameObjects.filter(obj => obj.tag === tag);
+        // Recorded calls of one method (e.g. 'fillRect')
+        getCalls(method) {
+            return this.calls.filter(call => call.method === method);
         }
         
-        // Find first game object by tag
-        findOne(tag) {
-            return this.gameObjects.find(obj => obj.tag === tag);
+        // Rough text size (there are no fonts without a browser)
+        measureText(text) {
+            return { width: String(text).length * parseFloat(this.state.font) * 0.5 };
         }
+    }
+    
+    CONTEXT_METHODS.forEach(method => {
+        RecordingContext.prototype[method] = function(...args) {
+            if (this.record) {
+                this.calls.push({ method: method, args: args });
+            }
+        };
+    });
+    CONTEXT_PROPERTIES.forEach(property => {
+        Object.defineProperty(RecordingContext.prototype, property, {
+            get: function() {
+                return this.state[property];
+            },
+            set: function(value) {
+                this.state[property] = value;
+                if (this.record) {
+                    this.calls.push({ property: property, value: value });
+                }
+            }
+        });
+    });
+    
+    // Canvas sizing: the game draws in a design resolution (somvas.width x
+    // somvas.height) that is scaled into the canvas, whose backing store is
+    // sized for the device pixel ratio
+    const Display = {
+        // 'none' (canvas is the design size), 'fit' (letterbox), 'fill' (crop),
+        // 'stretch' or 'integer' (whole-number scales for pixel art)
+        scaleMode: 'none',
+        // Element the canvas fills in scaled modes (null for the window)
+        container: null,
+        // Fixed pixel ratio (null follows window.devicePixelRatio)
+        fixedPixelRatio: null,
+        // Design size comes from the window when none is given ('none' mode only)
+        followWindow: false,
+        // Color of the bars around the design area (null leaves them transparent)
+        letterboxColor: '#000000',
         
-        // Sort game objects by layer (z-index)
-        sortObjectsByLayer() {
-            this.gameObjects.sort((a, b) => a.layer - b.layer);
-        }
+        // Set up sizing from init's arguments and listen for resizes
+        init: function(width, height, options) {
+            const mode = options.scaleMode || 'none';
+            if (!(mode in SCALE_MODES)) {
+                throw new Error(`Unknown scale mode '${mode}'`);
+            }
+            this.scaleMode = mode;
+            this.container = options.container || null;
+            this.fixedPixelRatio = options.pixelRatio || null;
+            if (options.letterboxColor !== undefined) {
+                this.letterboxColor = options.letterboxColor;
+            }
+            this.followWindow = !width || !height;
+            somvas.width = width || window.innerWidth;
+            somvas.height = height || window.innerHeight;
+            
+            this.resize();
+            window.addEventListener('resize', () => this.resize());
+            window.addEventListener('orientationchange', () => this.resize());
+        },
         
-        // Update all game objects in the scene
-        update(deltaTime) {
-            for (const gameObject of this.gameObjects) {
-                gameObject.update(deltaTime);
+        // Size of the area the canvas fills (CSS pixels)
+        getAvailableSize: function() {
+            if (this.container) {
+                return { width: this.container.clientWidth, height: this.container.clientHeight };
             }
-        }
+            return { width: window.innerWidth, height: window.innerHeight };
+        },
         
-        // Draw all game objects in the scene (sorted by layer)
-        draw(ctx) {
-            // Draw background if set
-            if (this.background) {
-                ctx.fillStyle = this.background;
-                ctx.fillRect(0, 0, somvas.canvas.width, somvas.canvas.height);
+        // Recompute the canvas size and the design-to-canvas transform, then
+        // emit 'resize' on the engine
+        resize: function() {
+            const canvas = somvas.canvas;
+            const pixelRatio = this.fixedPixelRatio || window.devicePixelRatio || 1;
+            
+            let cssSize;
+            if (this.scaleMode === 'none') {
+                if (this.followWindow) {
+                    const available = this.getAvailableSize();
+                    somvas.width = available.width;
+                    somvas.height = available.height;
+                }
+                cssSize = { width: somvas.width, height: somvas.height };
+            } else {
+                cssSize = this.getAvailableSize();
             }
             
-            // Draw all game objects (already sorted by layer)
-            for (const gameObject of this.gameObjects) {
-                gameObject.draw(ctx);
+            canvas.width = Math.round(cssSize.width * pixelRatio);
+            canvas.height = Math.round(cssSize.height * pixelRatio);
+            if (canvas.style) {
+                canvas.style.width = `${cssSize.width}px`;
+                canvas.style.height = `${cssSize.height}px`;
             }
+            
+            somvas.pixelRatio = pixelRatio;
+            somvas.viewport = SCALE_MODES[this.scaleMode](canvas.width, canvas.height, somvas.width, somvas.height);
+            somvas.emit('resize', {
+                width: somvas.width,
+                height: somvas.height,
+                pixelRatio: pixelRatio,
+                viewport: somvas.viewport
+            });
+        },
+        
+        // Clear the whole canvas, fill the letterbox bars and set the design-space
+        // transform (clipped to the design area)
+        begin: function(ctx) {
+            const canvas = somvas.canvas;
+            const viewport = somvas.viewport;
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            if (this.letterboxColor && this.scaleMode !== 'none') {
+                ctx.fillStyle = this.letterboxColor;
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                ctx.clearRect(viewport.x, viewport.y, somvas.width * viewport.scaleX, somvas.height * viewport.scaleY);
+            }
+            ctx.setTransform(viewport.scaleX, 0, 0, viewport.scaleY, viewport.x, viewport.y);
+            ctx.beginPath();
+            ctx.rect(0, 0, somvas.width, somvas.height);
+            ctx.clip();
+            ctx.imageSmoothingEnabled = this.scaleMode !== 'integer';
+        },
+        
+        // Undo begin()
+        end: function(ctx) {
+            ctx.restore();
+        },
+        
+        // Convert client (page) coordinates to design coordinates (the canvas
+        // may be scaled by CSS, so its on-page size is used)
+        toDesign: function(clientX, clientY) {
+            const canvas = somvas.canvas;
+            const rect = canvas.getBoundingClientRect();
+            const viewport = somvas.viewport;
+            const backingX = (clientX - rect.left) * (rect.width ? canvas.width / rect.width : 1);
+            const backingY = (clientY - rect.top) * (rect.height ? canvas.height / rect.height : 1);
+            return {
+                x: (backingX - viewport.x) / viewport.scaleX,
+                y: (backingY - viewport.y) / viewport.scaleY
+            };
+        }
+    };
+    
+    // Placement of the design area in a canvas of the given backing size: the
+    // offset and scale from design to canvas pixels
+    const SCALE_MODES = {
+        none: function(canvasWidth, canvasHeight, width, height) {
+            return { x: 0, y: 0, scaleX: canvasWidth / width, scaleY: canvasHeight / height };
+        },
+        fit: function(canvasWidth, canvasHeight, width, height) {
+            return centerViewport(canvasWidth, canvasHeight, width, height, Math.min(canvasWidth / width, canvasHeight / height));
+        },
+        fill: function(canvasWidth, canvasHeight, width, height) {
+            return centerViewport(canvasWidth, canvasHeight, width, height, Math.max(canvasWidth / width, canvasHeight / height));
+        },
+        stretch: function(canvasWidth, canvasHeight, width, height) {
+            return { x: 0, y: 0, scaleX: canvasWidth / width, scaleY: canvasHeight / height };
+        },
+        integer: function(canvasWidth, canvasHeight, width, height) {
+            const scale = Math.max(Math.floor(Math.min(canvasWidth / width, canvasHeight / height)), 1);
+            return centerViewport(canvasWidth, canvasHeight, width, height, scale);
         }
+    };
+    
+    // Design area scaled uniformly and centered in the canvas (whole pixels)
+    function centerViewport(canvasWidth, canvasHeight, width, height, scale) {
+        return {
+            x: Math.round((canvasWidth - width * scale) / 2),
+            y: Math.round((canvasHeight - height * scale) / 2),
+            scaleX: scale,
+            scaleY: scale
+        };
     }
     
-    // Initialize the somvas
-    somvas.init = function(canvasId, width, height) {
+    // Initialize the somvas. width and height are the design resolution (the
+    // window size if left out); options: scaleMode, container, pixelRatio and
+    // letterboxColor (see Display)
+    somvas.init = function(canvasId, width, height, options = {}) {
         // Get or create canvas
         if (canvasId) {
             this.canvas = document.getElementById(canvasId);
@@ -616,54 +8597,251 @@ const Somvas = (function() {
             document.body.appendChild(this.canvas);
         }
         
-        // Set canvas dimensions
-        this.canvas.width = width || window.innerWidth;
-        this.canvas.height = height || window.innerHeight;
-        
         // Get 2D context
         this.ctx = this.canvas.getContext('2d');
         
+        // Size the canvas (and keep it sized on resizes and orientation changes)
+        Display.init(width, height, options);
+        
         // Initialize input handling
         Input.init();
         
+        // Create the audio context (unlocked on the first user gesture)
+        AudioManager.init();
+        
         console.log(`Game somvas v${VERSION} initialized`);
     };
     
-    // Start the game loop
+    // Initialize without a browser (Node tests and server simulations). Scenes
+    // update as usual, input comes from the Input.set* methods and rendering goes
+    // to a RecordingContext. Options: record (keep draw calls, default false).
+    somvas.initHeadless = function(width = 800, height = 600, options = {}) {
+        this.headless = true;
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = 1;
+        this.viewport = { x: 0, y: 0, scaleX: 1, scaleY: 1 };
+        this.canvas = {
+            width: width,
+            height: height,
+            getBoundingClientRect: function() {
+                return { left: 0, top: 0, width: this.width, height: this.height };
+            }
+        };
+        this.ctx = new RecordingContext(this.canvas, options.record || false);
+        Input.init();
+    };
+    
+    // Advance one frame by hand (update, then render): for tests, servers and
+    // anything else that doesn't use start()
+    somvas.step = function(deltaTime = this.fixedTimeStep || 1 / 60) {
+        this.update(deltaTime);
+        if (this.ctx) {
+            this.render();
+        }
+        return this;
+    };
+    
+    // Start the game loop (does nothing if it's already running)
     somvas.start = function() {
         if (!this.ctx) {
             throw new Error('somvas not initialized. Call init() first.');
         }
+        if (this.isRunning) return;
         
         this.isRunning = true;
         this.lastTime = performance.now();
+        this.accumulator = 0;
         
         const gameLoop = (currentTime) => {
+            if (!this.isRunning) return;
+            
             // Calculate delta time
-            this.deltaTime = (currentTime - this.lastTime) / 1000;
+            const frameTime = (currentTime - this.lastTime) / 1000;
             this.lastTime = currentTime;
             
-            // Clear canvas
-            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            this.update(frameTime);
+            this.render();
             
-            // Update and draw current scene
-            if (this.currentScene) {
-                this.currentScene.update(this.deltaTime);
-                this.currentScene.draw(this.ctx);
-            }
-            
-            // Continue game loop if running
-            if (this.isRunning) {
-                requestAnimationFrame(gameLoop);
-            }
+            // Continue game loop
+            this.animationFrameId = requestAnimationFrame(gameLoop);
         };
         
-        requestAnimationFrame(gameLoop);
+        this.animationFrameId = requestAnimationFrame(gameLoop);
+        this.emit('start');
     };
     
     // Stop the game loop
     somvas.stop = function() {
+        if (!this.isRunning) return;
         this.isRunning = false;
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        this.emit('stop');
+    };
+    
+    // Freeze updates (the current scene keeps rendering)
+    somvas.pause = function() {
+        if (this.isPaused) return;
+        this.isPaused = true;
+        this.emit('pause');
+    };
+    
+    // Continue updates after pause()
+    somvas.resume = function() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        this.emit('resume');
+    };
+    
+    // Advance the current scene by one frame of real time (seconds): clamps
+    // spikes, applies timeScale and pause, and runs the fixed steps
+    somvas.update = function(frameTime) {
+        const startTime = performance.now();
+        Input.update();
+        // Objects destroyed between frames (input handlers, callbacks)
+        flushDestroyed();
+        Debug.recordFrame(frameTime);
+        Debug.update();
+        // The debug step key runs a single frame while paused
+        const stepping = this.isPaused && Debug.consumeStep();
+        const paused = this.isPaused && !stepping;
+        
+        this.unscaledDeltaTime = stepping ? this.fixedTimeStep || 1 / 60 : Math.min(Math.max(frameTime, 0), this.maxDeltaTime);
+        this.deltaTime = paused ? 0 : this.unscaledDeltaTime * this.timeScale;
+        
+        // Scenes are frozen while a transition plays
+        if (this.transition) {
+            this.transition.elapsed += this.unscaledDeltaTime;
+            if (this.transition.elapsed >= this.transition.duration) {
+                this.transition = null;
+            }
+            return;
+        }
+        
+        if (paused || !this.currentScene) return;
+        
+        const scene = this.currentScene;
+        this.time += this.deltaTime;
+        this.frameCount++;
+        
+        if (this.fixedTimeStep) {
+            this.accumulator += this.deltaTime;
+            let steps = 0;
+            // (small tolerance so 120Hz frames add up to exact 60Hz steps)
+            while (this.accumulator >= this.fixedTimeStep - 1e-9 && steps < this.maxFixedSteps) {
+                scene.fixedUpdate(this.fixedTimeStep);
+                this.accumulator -= this.fixedTimeStep;
+                steps++;
+            }
+            // Drop the backlog rather than spiralling when steps can't keep up
+            if (steps === this.maxFixedSteps) {
+                this.accumulator = Math.min(this.accumulator, this.fixedTimeStep);
+            }
+            this.alpha = MathUtils.clamp(this.accumulator / this.fixedTimeStep, 0, 1);
+        } else {
+            this.alpha = 1;
+        }
+        
+        scene.update(this.deltaTime);
+        TweenManager.update(this.deltaTime);
+        AudioManager.update();
+        flushDestroyed();
+        Debug.updateTime = performance.now() - startTime;
+    };
+    
+    // Animate properties of a target: tween(obj).to({ x: 200 }, 0.5, 'easeOutBack')
+    somvas.tween = function(target) {
+        return TweenManager.add(new Tween(target));
+    };
+    
+    // Create a timeline for sequencing and grouping tweens
+    somvas.timeline = function() {
+        return TweenManager.add(new Timeline());
+    };
+    
+    // Run tweens one after another
+    somvas.sequence = function(...items) {
+        const timeline = this.timeline();
+        items.forEach(item => timeline.add(item));
+        return timeline;
+    };
+    
+    // Run tweens at the same time
+    somvas.parallel = function(...items) {
+        const timeline = this.timeline();
+        items.forEach(item => timeline.with(item));
+        return timeline;
+    };
+    
+    // Call back once after some seconds of game time (cancelled if owner leaves its scene)
+    somvas.after = function(seconds, callback, owner = null) {
+        return TweenManager.add(new Timer(seconds, callback, 1, owner));
+    };
+    
+    // Call back every interval of game time (times defaults to forever)
+    somvas.every = function(seconds, callback, times = Infinity, owner = null) {
+        return TweenManager.add(new Timer(seconds, callback, times, owner));
+    };
+    
+    // Cancel tweens and timers of a target (all of them if no target is given)
+    somvas.cancelTweens = function(target) {
+        TweenManager.cancelAll(target);
+    };
+    
+    // Clear the canvas and draw the visible scenes (through the running transition)
+    somvas.render = function() {
+        const startTime = performance.now();
+        if (this.debugMode) {
+            Debug.beginFrame(this.ctx);
+        }
+        Display.begin(this.ctx);
+        
+        const visible = this.getVisibleScenes();
+        if (this.transition) {
+            const transition = this.transition;
+            const t = transition.easing(MathUtils.clamp(transition.elapsed / transition.duration, 0, 1));
+            TRANSITIONS[transition.type](this.ctx, transition, t, visible);
+        } else {
+            this.drawScenes(visible);
+        }
+        
+        if (this.debugMode) {
+            Debug.endFrame();
+            Debug.drawTime = performance.now() - startTime;
+            Debug.draw(this.ctx);
+        }
+        Display.end(this.ctx);
+    };
+    
+    // Re-apply the canvas size and scale mode (runs on window resizes and
+    // orientation changes; call it after resizing a container yourself)
+    somvas.resize = function() {
+        if (!this.headless) {
+            Display.resize();
+        }
+    };
+    
+    // Change the design resolution and, optionally, the scale mode
+    somvas.setResolution = function(width, height, scaleMode) {
+        if (scaleMode !== undefined && !(scaleMode in SCALE_MODES)) {
+            throw new Error(`Unknown scale mode '${scaleMode}'`);
+        }
+        this.width = width;
+        this.height = height;
+        if (this.headless) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+            this.emit('resize', { width: width, height: height, pixelRatio: 1, viewport: this.viewport });
+            return;
+        }
+        if (scaleMode !== undefined) {
+            Display.scaleMode = scaleMode;
+        }
+        Display.followWindow = false;
+        Display.resize();
     };
     
     // Create a new scene
@@ -673,31 +8851,286 @@ const Somvas = (function() {
         return scene;
     };
     
-    // Set the current scene
-    somvas.setScene = function(name) {
-        if (this.scenes[name]) {
-            this.currentScene = this.scenes[name];
-        } else {
+    // Create and register a scene from JSON data, a JSON string or the name of a loaded JSON asset
+    somvas.loadScene = function(json) {
+        let data = json;
+        if (typeof json === 'string') {
+            data = AssetLoader.has(json) ? AssetLoader.get(json) : JSON.parse(json);
+        }
+        const scene = Scene.fromJSON(data);
+        this.scenes[scene.name] = scene;
+        return scene;
+    };
+    
+    // Register a component type for serialization (see ComponentRegistry.register)
+    somvas.registerComponent = function(name, type, serializer) {
+        ComponentRegistry.register(name, type, serializer);
+    };
+    
+    // Register a prefab from JSON data or a game object used as the template
+    somvas.registerPrefab = function(name, template) {
+        prefabs[name] = template instanceof GameObject ? template.toJSON() : template;
+    };
+    
+    // Create a game object from a prefab, deep-merging overrides into the template
+    somvas.instantiate = function(name, overrides = {}) {
+        return GameObject.fromJSON(Object.assign({}, overrides, { prefab: name }));
+    };
+    
+    // Look up a scene by name (or pass a Scene through)
+    somvas.getScene = function(name) {
+        const scene = name instanceof Scene ? name : this.scenes[name];
+        if (!scene) {
             throw new Error(`Scene '${name}' not found`);
         }
+        return scene;
+    };
+    
+    // Replace the whole scene stack with one scene. Transition options:
+    // { type: 'fade' | 'slide' | 'wipe', duration, easing, color, direction }
+    somvas.setScene = function(name, params, transition) {
+        const scene = this.getScene(name);
+        const pending = this.createTransition(transition);
+        const visibleBefore = this.getVisibleScenes();
+        
+        while (this.sceneStack.length > 0) {
+            this.sceneStack.pop().callHook('onExit');
+        }
+        const previous = this.currentScene;
+        this.sceneStack.push(scene);
+        this.currentScene = scene;
+        scene.enter(params);
+        
+        this.startTransition(visibleBefore, pending);
+        this.emit('sceneChanged', { scene: scene, previous: previous });
+    };
+    
+    // Put a scene on top of the current one (e.g. a pause menu). The scene
+    // below is paused and keeps drawing underneath.
+    somvas.pushScene = function(name, params, transition) {
+        const scene = this.getScene(name);
+        const pending = this.createTransition(transition);
+        const visibleBefore = this.getVisibleScenes();
+        
+        const previous = this.currentScene;
+        if (previous) {
+            previous.callHook('onPause');
+        }
+        this.sceneStack.push(scene);
+        this.currentScene = scene;
+        scene.enter(params);
+        
+        this.startTransition(visibleBefore, pending);
+        this.emit('sceneChanged', { scene: scene, previous: previous });
+    };
+    
+    // Remove the top scene and resume the one below (result is passed to its onResume)
+    somvas.popScene = function(result, transition) {
+        if (this.sceneStack.length === 0) {
+            throw new Error('No scene to pop');
+        }
+        const pending = this.createTransition(transition);
+        const visibleBefore = this.getVisibleScenes();
+        
+        const previous = this.sceneStack.pop();
+        previous.callHook('onExit');
+        this.currentScene = this.sceneStack[this.sceneStack.length - 1] || null;
+        if (this.currentScene) {
+            this.currentScene.callHook('onResume', result);
+        }
+        
+        this.startTransition(visibleBefore, pending);
+        this.emit('sceneChanged', { scene: this.currentScene, previous: previous });
+    };
+    
+    // Scenes to draw, bottom to top: from the topmost opaque scene up
+    somvas.getVisibleScenes = function() {
+        let start = this.sceneStack.length - 1;
+        while (start > 0 && !this.sceneStack[start].opaque) {
+            start--;
+        }
+        return this.sceneStack.slice(Math.max(start, 0));
+    };
+    
+    // Check transition options and turn them into a transition (null for none).
+    // Scene changes call this first so bad options throw before anything changes.
+    somvas.createTransition = function(options) {
+        if (!options) return null;
+        
+        const type = typeof options === 'string' ? options : options.type;
+        if (!TRANSITIONS[type]) {
+            throw new Error(`Unknown transition '${type}'`);
+        }
+        const settings = typeof options === 'string' ? {} : options;
+        const easing = settings.easing || 'easeInOutQuad';
+        const ease = typeof easing === 'function' ? easing : Easing[easing];
+        if (!ease) {
+            throw new Error(`Unknown easing '${easing}'`);
+        }
+        
+        return {
+            type: type,
+            from: [],
+            duration: settings.duration !== undefined ? settings.duration : 0.5,
+            easing: ease,
+            color: settings.color || '#000',
+            direction: settings.direction || 'left',
+            elapsed: 0
+        };
+    };
+    
+    // Begin a transition (from createTransition) from the previously visible
+    // scenes to the current ones
+    somvas.startTransition = function(from, transition) {
+        if (transition) {
+            transition.from = from;
+        }
+        this.transition = transition;
+    };
+    
+    // Check whether a scene transition is running
+    somvas.isTransitioning = function() {
+        return this.transition !== null;
+    };
+    
+    // Draw a list of scenes bottom to top
+    somvas.drawScenes = function(scenes) {
+        for (const scene of scenes) {
+            scene.draw(this.ctx);
+        }
+    };
+    
+    // Scene transition effects: draw the old and new scenes at progress t (0 to 1)
+    const TRANSITIONS = {
+        // Fade out to a color, then in to the new scene
+        fade: function(ctx, transition, t, to) {
+            const showOld = t < 0.5;
+            somvas.drawScenes(showOld ? transition.from : to);
+            ctx.save();
+            ctx.globalAlpha = showOld ? t * 2 : (1 - t) * 2;
+            ctx.fillStyle = transition.color;
+            ctx.fillRect(0, 0, somvas.width, somvas.height);
+            ctx.restore();
+        },
+        
+        // The new scene pushes the old one out in the given direction
+        slide: function(ctx, transition, t, to) {
+            const offset = TRANSITION_DIRECTIONS[transition.direction];
+            const width = somvas.width;
+            const height = somvas.height;
+            
+            ctx.save();
+            ctx.translate(offset.x * width * t, offset.y * height * t);
+            somvas.drawScenes(transition.from);
+            ctx.restore();
+            
+            ctx.save();
+            ctx.translate(-offset.x * width * (1 - t), -offset.y * height * (1 - t));
+            somvas.drawScenes(to);
+            ctx.restore();
+        },
+        
+        // The new scene is revealed by an edge moving in the given direction
+        wipe: function(ctx, transition, t, to) {
+            const offset = TRANSITION_DIRECTIONS[transition.direction];
+            const width = somvas.width;
+            const height = somvas.height;
+            
+            somvas.drawScenes(transition.from);
+            
+            ctx.save();
+            ctx.beginPath();
+            if (offset.x !== 0) {
+                const revealed = width * t;
+                ctx.rect(offset.x > 0 ? 0 : width - revealed, 0, revealed, height);
+            } else {
+                const revealed = height * t;
+                ctx.rect(0, offset.y > 0 ? 0 : height - revealed, width, revealed);
+            }
+            ctx.clip();
+            somvas.drawScenes(to);
+            ctx.restore();
+        }
+    };
+    
+    // Movement of the new scene for each direction name
+    const TRANSITION_DIRECTIONS = {
+        left: { x: -1, y: 0 },
+        right: { x: 1, y: 0 },
+        up: { x: 0, y: -1 },
+        down: { x: 0, y: 1 }
     };
     
-    // Toggle debug mode
+    // Toggle debug mode (gizmos and the debug overlay)
     somvas.toggleDebug = function() {
         this.debugMode = !this.debugMode;
+        if (!this.debugMode) {
+            Debug.uninstrument(this.ctx);
+            Debug.select(null);
+        }
     };
     
+    // Event methods for the engine, scenes and game objects
+    Object.assign(somvas, EventMethods);
+    Object.assign(GameObject.prototype, EventMethods);
+    Object.assign(Scene.prototype, EventMethods);
+    
     // Expose classes and utilities
+    somvas.Scene = Scene;
     somvas.GameObject = GameObject;
+    somvas.ObjectPool = ObjectPool;
+    somvas.Vector2 = Vector2;
+    somvas.Matrix2D = Matrix2D;
+    somvas.NavGrid = NavGrid;
+    somvas.SteeringAgent = SteeringAgent;
+    somvas.PathFollower = PathFollower;
     somvas.Sprite = Sprite;
+    somvas.SpriteSheet = SpriteSheet;
+    somvas.Animator = Animator;
     somvas.Text = Text;
     somvas.Rectangle = Rectangle;
     somvas.Circle = Circle;
+    somvas.ParticleEmitter = ParticleEmitter;
     somvas.BoxCollider = BoxCollider;
     somvas.CircleCollider = CircleCollider;
+    somvas.PolygonCollider = PolygonCollider;
+    somvas.TilemapCollider = TilemapCollider;
+    somvas.Tilemap = Tilemap;
+    somvas.Collider = Collider;
+    somvas.Rigidbody = Rigidbody;
+    somvas.SpatialHash = SpatialHash;
+    somvas.Camera = Camera;
     somvas.MathUtils = MathUtils;
+    somvas.Easing = Easing;
+    somvas.Tween = Tween;
+    somvas.Timeline = Timeline;
+    somvas.Timer = Timer;
     somvas.AssetLoader = AssetLoader;
+    somvas.AssetLoadError = AssetLoadError;
     somvas.Input = Input;
+    somvas.Audio = AudioManager;
+    somvas.SoundHandle = SoundHandle;
+    somvas.RecordingContext = RecordingContext;
+    somvas.NineSlice = NineSlice;
+    somvas.UI = UI;
+    somvas.Debug = Debug;
+    somvas.Storage = Storage;
+    somvas.StorageError = StorageError;
+    somvas.MemoryStorageBackend = MemoryStorageBackend;
+    somvas.LocalStorageBackend = LocalStorageBackend;
+    somvas.IndexedDBBackend = IndexedDBBackend;
+    UI.Widget = Widget;
+    UI.Panel = Panel;
+    UI.Label = Label;
+    UI.Button = Button;
+    UI.Toggle = Toggle;
+    UI.Slider = Slider;
+    UI.ProgressBar = ProgressBar;
     
     return somvas;
-})();
\ No newline at end of file
+})();
+
+// CommonJS export (index.mjs wraps it for ES modules); script tags use the global Somvas
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Somvas;
+}
\ No newline at end of file
@@ -0,0 +1,4 @@
+// ES module entry (Node and bundlers): import Somvas from 'somvas'
+import Somvas from './index.js';
+
+export default Somvas;
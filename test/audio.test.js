@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Somvas = require('../index.js');
+
+const Audio = Somvas.Audio;
+
+// Minimal Web Audio stand-ins: nodes that accept connections and sources that
+// record whether they were stopped
+class FakeAudioBuffer {
+    constructor(duration) {
+        this.duration = duration;
+    }
+}
+
+function fakeNode(extra) {
+    return Object.assign({ connect() {}, disconnect() {} }, extra);
+}
+
+const context = {
+    currentTime: 0,
+    state: 'running',
+    destination: fakeNode(),
+    createGain: () => fakeNode({ gain: { value: 1 } }),
+    createBufferSource: () => fakeNode({
+        playbackRate: { value: 1 },
+        start() {},
+        stop() {
+            this.stopped = true;
+        }
+    })
+};
+
+// Web Audio manager on the fake context with one loaded sound
+function setup() {
+    global.AudioBuffer = FakeAudioBuffer;
+    Audio.context = context;
+    const master = Audio.createBus(context.destination);
+    Audio.buses = { master: master, music: Audio.createBus(master.gain), sfx: Audio.createBus(master.gain) };
+    Audio.voices = {};
+    Audio.maxVoices = 2;
+    Somvas.assets.blip = new FakeAudioBuffer(1);
+}
+
+test('stopping a paused sound frees its voice', () => {
+    setup();
+    const handle = Audio.play('blip');
+    assert.equal(Audio.voices.blip.length, 1);
+    
+    handle.pause().stop();
+    
+    assert.equal(Audio.voices.blip.length, 0);
+    assert.equal(handle.paused, false);
+    assert.equal(handle.resume().playing, false);
+});
+
+test('the voice limit holds with paused sounds', () => {
+    setup();
+    const first = Audio.play('blip').pause();
+    Audio.play('blip');
+    Audio.play('blip');
+    Audio.play('blip');
+    
+    assert.equal(Audio.voices.blip.length, 2);
+    assert.equal(Audio.voices.blip.includes(first), false);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Somvas = require('../index.js');
+
+// Fresh headless engine with one active scene
+function setup(name) {
+    Somvas.initHeadless(320, 240, { record: true });
+    const scene = Somvas.createScene(name);
+    Somvas.setScene(name);
+    return scene;
+}
+
+test('steps scenes manually without a canvas', () => {
+    const scene = setup('physics');
+    scene.gravity.y = 900;
+    const crate = new Somvas.GameObject(100, 0);
+    crate.addComponent(new Somvas.Rigidbody());
+    scene.add(crate);
+    
+    for (let i = 0; i < 60; i++) Somvas.step(1 / 60);
+    
+    assert.ok(crate.y > 400);
+    assert.equal(crate.x, 100);
+});
+
+test('records draw calls', () => {
+    const scene = setup('drawing');
+    const box = new Somvas.GameObject(10, 10);
+    box.addComponent(new Somvas.Rectangle(20, 20, '#f00'));
+    scene.add(box);
+    
+    Somvas.step(1 / 60);
+    
+    assert.ok(Somvas.ctx.getCalls('fillRect').length > 0);
+});
+
+test('injected input shows up on the next frame', () => {
+    setup('input');
+    Somvas.Input.setKey('Space', true);
+    assert.equal(Somvas.Input.wasPressed('Space'), false);
+    
+    Somvas.step(1 / 60);
+    assert.equal(Somvas.Input.wasPressed('Space'), true);
+    assert.equal(Somvas.Input.isDown('Space'), true);
+    
+    Somvas.step(1 / 60);
+    assert.equal(Somvas.Input.wasPressed('Space'), false);
+});
+
+test('seeded random numbers repeat', () => {
+    Somvas.MathUtils.seed(1234);
+    const first = [Somvas.MathUtils.random(), Somvas.MathUtils.randomInt(0, 100)];
+    Somvas.MathUtils.seed(1234);
+    const second = [Somvas.MathUtils.random(), Somvas.MathUtils.randomInt(0, 100)];
+    Somvas.MathUtils.seed(null);
+    
+    assert.deepEqual(first, second);
+});
+
+test('burst-only one-shot emitters default to no rate', () => {
+    const scene = setup('particles');
+    const emitter = new Somvas.ParticleEmitter({ oneShot: true, bursts: [{ time: 0, count: 5 }] });
+    const puff = new Somvas.GameObject(50, 50);
+    puff.addComponent(emitter);
+    scene.add(puff);
+    
+    for (let i = 0; i < 10; i++) Somvas.step(1 / 60);
+    
+    assert.equal(emitter.config.rate, 0);
+    assert.equal(emitter.count, 5);
+    assert.equal(new Somvas.ParticleEmitter({ oneShot: true, duration: 1 }).config.rate, 10);
+    assert.throws(() => new Somvas.ParticleEmitter({ oneShot: true, rate: 5 }), /need a duration/);
+});
+
+test('text saves its content and style but not its line cache', () => {
+    setup('text');
+    const label = new Somvas.GameObject(0, 0);
+    const text = new Somvas.Text('Hello world', { font: '12px Arial', fill: 'white', wrapWidth: 40 });
+    label.addComponent(text);
+    text.measure();
+    
+    const data = JSON.parse(JSON.stringify(label.toJSON()));
+    const saved = data.components.find(component => component.type === 'Text');
+    assert.deepEqual(Object.keys(saved).sort(), ['style', 'text', 'type']);
+    
+    const copy = Somvas.GameObject.fromJSON(data).getComponent(Somvas.Text);
+    assert.equal(copy.text, 'Hello world');
+    assert.equal(copy.style.wrapWidth, 40);
+    assert.equal(copy.lines, undefined);
+});
+
+test('ES module entry exports the same engine', async () => {
+    const module = await import('../index.mjs');
+    assert.equal(module.default, Somvas);
+    assert.equal(Somvas.default, undefined);
+});
@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Somvas = require('../index.js');
+
+// Fresh headless engine with one active scene and no gravity
+function setup(name) {
+    Somvas.initHeadless(320, 240);
+    const scene = Somvas.createScene(name);
+    scene.gravity.y = 0;
+    Somvas.setScene(name);
+    return scene;
+}
+
+// Cells as 'column,row' strings
+function cellKeys(cells) {
+    return cells.map(cell => `${cell.column},${cell.row}`);
+}
+
+// 5x5 grid with a wall down column 2, open at the bottom row
+function walledGrid() {
+    const grid = new Somvas.NavGrid(5, 5, 10);
+    for (let row = 0; row < 4; row++) {
+        grid.setWalkable(2, row, false);
+    }
+    return grid;
+}
+
+test('finds 4-way paths around walls', () => {
+    const path = walledGrid().findCellPath({ column: 0, row: 0 }, { column: 4, row: 0 }, { diagonal: 'never' });
+    
+    assert.equal(path.length, 13);
+    assert.deepEqual(path[0], { column: 0, row: 0 });
+    assert.deepEqual(path[path.length - 1], { column: 4, row: 0 });
+    assert.ok(cellKeys(path).includes('2,4'));
+    for (let i = 1; i < path.length; i++) {
+        const step = Math.abs(path[i].column - path[i - 1].column) + Math.abs(path[i].row - path[i - 1].row);
+        assert.equal(step, 1);
+    }
+});
+
+test('diagonal rules control corner cutting', () => {
+    const grid = new Somvas.NavGrid(2, 2, 10);
+    grid.setWalkable(1, 0, false);
+    const start = { column: 0, row: 0 };
+    const goal = { column: 1, row: 1 };
+    
+    assert.deepEqual(cellKeys(grid.findCellPath(start, goal, { diagonal: 'always' })), ['0,0', '1,1']);
+    assert.deepEqual(cellKeys(grid.findCellPath(start, goal, { diagonal: 'noCorners' })), ['0,0', '0,1', '1,1']);
+    assert.deepEqual(cellKeys(grid.findCellPath(start, goal, { diagonal: 'never' })), ['0,0', '0,1', '1,1']);
+    assert.throws(() => grid.findCellPath(start, goal, { diagonal: 'sometimes' }), /Unknown diagonal rule/);
+});
+
+test('returns null for blocked or unreachable goals', () => {
+    const grid = walledGrid();
+    assert.equal(grid.findCellPath({ column: 0, row: 0 }, { column: 2, row: 0 }), null);
+    
+    grid.setWalkable(2, 4, false);
+    assert.equal(grid.findCellPath({ column: 0, row: 0 }, { column: 4, row: 0 }), null);
+    assert.equal(grid.findPath({ x: 5, y: 5 }, { x: 45, y: 5 }), null);
+});
+
+test('cell costs steer paths around expensive terrain', () => {
+    const grid = new Somvas.NavGrid(5, 3, 10);
+    const straight = grid.findCellPath({ column: 0, row: 1 }, { column: 4, row: 1 });
+    assert.deepEqual(cellKeys(straight), ['0,1', '1,1', '2,1', '3,1', '4,1']);
+    
+    for (let column = 1; column < 4; column++) {
+        grid.setCost(column, 1, 10);
+    }
+    const detour = grid.findCellPath({ column: 0, row: 1 }, { column: 4, row: 1 });
+    assert.ok(cellKeys(detour).every(key => !['1,1', '2,1', '3,1'].includes(key)));
+    assert.throws(() => grid.setCost(0, 0, 0.5), /at least 1/);
+});
+
+test('smoothPath keeps only the turns needed for line of sight', () => {
+    const grid = walledGrid();
+    const cells = grid.findCellPath({ column: 0, row: 0 }, { column: 4, row: 0 }, { diagonal: 'never' });
+    const smoothed = grid.smoothPath(cells);
+    
+    assert.ok(smoothed.length < cells.length);
+    assert.deepEqual(smoothed[0], cells[0]);
+    assert.deepEqual(smoothed[smoothed.length - 1], cells[cells.length - 1]);
+    for (let i = 1; i < smoothed.length; i++) {
+        assert.ok(grid.hasLineOfSight(smoothed[i - 1], smoothed[i]));
+    }
+    
+    const open = new Somvas.NavGrid(5, 5, 10);
+    const points = open.findPath({ x: 5, y: 5 }, { x: 47, y: 43 });
+    assert.deepEqual(points.map(point => [point.x, point.y]), [[47, 43]]);
+});
+
+test('fromTilemap blocks solid tiles and reads tile costs', () => {
+    const tilemap = new Somvas.Tilemap(16, 16, 4, 3);
+    const walls = new Array(12).fill(0);
+    walls[1] = 1;
+    tilemap.addLayer('walls', walls, { solid: true });
+    const image = { width: 32, height: 16 };
+    tilemap.addTileset(image, { tiles: { 1: { cost: 5 } } });
+    const mud = new Array(12).fill(0);
+    mud[6] = 2;
+    tilemap.addLayer('ground', mud);
+    const level = new Somvas.GameObject(100, 50);
+    level.addComponent(tilemap);
+    
+    const grid = Somvas.NavGrid.fromTilemap(tilemap);
+    
+    assert.equal(grid.columns, 4);
+    assert.equal(grid.rows, 3);
+    assert.deepEqual([grid.originX, grid.originY], [100, 50]);
+    assert.equal(grid.isWalkable(1, 0), false);
+    assert.equal(grid.isWalkable(0, 0), true);
+    assert.equal(grid.getCost(2, 1), 5);
+    assert.deepEqual(grid.worldToCell(117, 50), { column: 1, row: 0 });
+});
+
+test('fromScene blocks cells covered by solid boxes only', () => {
+    const scene = setup('navScene');
+    const wall = new Somvas.GameObject(50, 50);
+    wall.setCollider(Somvas.BoxCollider, 20, 20);
+    scene.add(wall);
+    const trigger = new Somvas.GameObject(150, 150);
+    trigger.setCollider(Somvas.BoxCollider, 20, 20).isTrigger = true;
+    scene.add(trigger);
+    
+    const grid = Somvas.NavGrid.fromScene(scene, 10, { bounds: { x: 0, y: 0, width: 200, height: 200 } });
+    const blocked = [];
+    for (let row = 0; row < grid.rows; row++) {
+        for (let column = 0; column < grid.columns; column++) {
+            if (!grid.isWalkable(column, row)) blocked.push(`${column},${row}`);
+        }
+    }
+    
+    assert.deepEqual(blocked, ['4,4', '5,4', '4,5', '5,5']);
+});
+
+test('PathFollower reaches its goal and emits pathComplete', () => {
+    const scene = setup('follow');
+    const grid = walledGrid();
+    const walker = new Somvas.GameObject(5, 5);
+    const follower = new Somvas.PathFollower({ grid: grid, speed: 100 });
+    walker.addComponent(follower);
+    scene.add(walker);
+    let completed = 0;
+    walker.on('pathComplete', () => completed++);
+    
+    assert.equal(follower.moveTo(45, 5), true);
+    for (let i = 0; i < 120; i++) Somvas.step(1 / 60);
+    
+    assert.deepEqual([walker.x, walker.y], [45, 5]);
+    assert.equal(completed, 1);
+    assert.equal(follower.isMoving(), false);
+});
+
+test('PathFollower with a Rigidbody stops on its goal instead of overshooting', () => {
+    const scene = setup('followBody');
+    const walker = new Somvas.GameObject(10, 0);
+    const body = new Somvas.Rigidbody();
+    const follower = new Somvas.PathFollower({ speed: 200 });
+    walker.addComponent(body);
+    walker.addComponent(follower);
+    scene.add(walker);
+    let completed = 0;
+    walker.on('pathComplete', () => completed++);
+    
+    follower.setPath([{ x: 11.5, y: 0 }]);
+    for (let i = 0; i < 10; i++) Somvas.step(1 / 60);
+    
+    assert.ok(Math.abs(walker.x - 11.5) < 1e-9);
+    assert.equal(completed, 1);
+    assert.deepEqual([body.velocity.x, body.velocity.y], [0, 0]);
+    
+    follower.setPath([{ x: 50, y: 0 }, { x: 50, y: 40 }, { x: 0, y: 40 }]);
+    for (let i = 0; i < 120; i++) Somvas.step(1 / 60);
+    
+    // Bodies stop within reachDistance (1 by default) of the last point
+    assert.ok(Math.hypot(walker.x, walker.y - 40) <= 1);
+    assert.equal(completed, 2);
+});
+
+test('SteeringAgent arrive settles on its target and seeded wander repeats', () => {
+    const scene = setup('steer');
+    const agent = new Somvas.GameObject(0, 100);
+    const steering = new Somvas.SteeringAgent({ maxSpeed: 100, maxForce: 400 });
+    agent.addComponent(steering);
+    steering.arrive({ x: 300, y: 100 }, 80);
+    scene.add(agent);
+    for (let i = 0; i < 900; i++) Somvas.step(1 / 60);
+    assert.ok(Math.abs(agent.x - 300) < 1);
+    
+    const wander = () => {
+        Somvas.MathUtils.seed(5);
+        const drifter = new Somvas.GameObject(0, 0);
+        const steering = new Somvas.SteeringAgent();
+        drifter.addComponent(steering);
+        steering.wander();
+        scene.add(drifter);
+        for (let i = 0; i < 60; i++) Somvas.step(1 / 60);
+        scene.remove(drifter);
+        return [drifter.x, drifter.y];
+    };
+    assert.deepEqual(wander(), wander());
+    Somvas.MathUtils.seed(null);
+});
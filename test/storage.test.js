@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Somvas = require('../index.js');
+
+const Storage = Somvas.Storage;
+
+// Fresh headless engine, scene and in-memory save store at version 1
+function setup(name) {
+    Somvas.initHeadless(320, 240);
+    const scene = Somvas.createScene(name);
+    Somvas.setScene(name);
+    const backend = new Somvas.MemoryStorageBackend();
+    Storage.setBackend(backend);
+    Storage.setVersion(1);
+    Storage.migrations = {};
+    Storage.disableAutosave();
+    return { scene: scene, backend: backend };
+}
+
+class Health {
+    constructor() {
+        this.saveName = 'Health';
+        this.hp = 10;
+    }
+    
+    serialize() {
+        return { hp: this.hp };
+    }
+    
+    deserialize(state) {
+        this.hp = state.hp;
+    }
+}
+
+test('MemoryStorageBackend stores text by key', async () => {
+    const backend = new Somvas.MemoryStorageBackend();
+    await backend.write('b', 'two');
+    await backend.write('a', 'one');
+    
+    assert.equal(await backend.read('a'), 'one');
+    assert.equal(await backend.read('missing'), null);
+    assert.deepEqual((await backend.keys()).sort(), ['a', 'b']);
+    
+    await backend.remove('a');
+    assert.deepEqual(await backend.keys(), ['b']);
+});
+
+test('saves and loads data and object state', async () => {
+    const { scene } = setup('roundTrip');
+    const player = new Somvas.GameObject(10, 20);
+    player.saveKey = 'player';
+    const health = new Health();
+    player.addComponent(health);
+    scene.add(player);
+    
+    const data = { level: 3 };
+    const info = await Storage.save('slot1', data);
+    data.level = 99;
+    assert.equal(info.version, 1);
+    
+    player.x = 0;
+    health.hp = 1;
+    player.setActive(false);
+    const save = await Storage.load('slot1');
+    
+    assert.deepEqual(save.data, { level: 3 });
+    assert.deepEqual([player.x, player.y, health.hp, player.active], [10, 20, 10, true]);
+    assert.equal(await Storage.load('empty'), null);
+    assert.equal(await Storage.exists('slot1'), true);
+    assert.deepEqual(await Storage.list(), ['slot1']);
+    
+    await Storage.delete('slot1');
+    assert.equal(await Storage.exists('slot1'), false);
+});
+
+test('checksums reject edited and truncated saves', async () => {
+    const { backend } = setup('corrupt');
+    await Storage.save('slot1', { gold: 7 }, { scene: null });
+    const text = await backend.read('slot1');
+    
+    const edited = JSON.parse(text);
+    edited.state.data.gold = 9999;
+    await backend.write('edited', JSON.stringify(edited));
+    await backend.write('truncated', text.slice(0, 30));
+    
+    for (const slot of ['edited', 'truncated']) {
+        await assert.rejects(Storage.load(slot), error => {
+            assert.ok(error instanceof Somvas.StorageError);
+            assert.equal(error.slot, slot);
+            assert.equal(error.reason, 'corrupted');
+            return true;
+        });
+    }
+});
+
+test('migrations upgrade old saves one version at a time', async () => {
+    setup('migrate');
+    await Storage.save('slot1', { coins: 7 }, { scene: null });
+    
+    Storage.setVersion(3);
+    await assert.rejects(Storage.load('slot1'), { reason: 'missingMigration' });
+    
+    Storage.addMigration(1, save => {
+        save.data.gold = save.data.coins;
+        delete save.data.coins;
+        return save;
+    });
+    Storage.addMigration(2, save => {
+        save.data.schema = 3;
+    });
+    assert.throws(() => Storage.addMigration(1, save => save), /already registered/);
+    
+    const save = await Storage.load('slot1', { scene: null });
+    assert.equal(save.version, 3);
+    assert.deepEqual(save.data, { gold: 7, schema: 3 });
+});
+
+test('saves from a newer version are rejected', async () => {
+    setup('newer');
+    Storage.setVersion(2);
+    await Storage.save('slot1', {}, { scene: null });
+    Storage.setVersion(1);
+    
+    await assert.rejects(Storage.load('slot1'), { reason: 'newerVersion' });
+});
+
+test('components need a stable save name', async () => {
+    const { scene } = setup('names');
+    class Unnamed {
+        serialize() {
+            return {};
+        }
+    }
+    const crate = new Somvas.GameObject();
+    crate.saveKey = 'crate';
+    crate.addComponent(new Unnamed());
+    scene.add(crate);
+    
+    await assert.rejects(Storage.save('slot1', {}), /needs a saveName or a registered name/);
+    
+    Somvas.registerComponent('Unnamed', Unnamed);
+    await Storage.save('slot1', {});
+    const save = await Storage.load('slot1');
+    assert.deepEqual(save.objects.crate.components, { Unnamed: {} });
+});
+
+test('autosave writes a slot on scene changes', async () => {
+    const { scene } = setup('autosaveFrom');
+    Somvas.createScene('autosaveTo');
+    const player = new Somvas.GameObject(5, 5);
+    player.saveKey = 'player';
+    scene.add(player);
+    const saved = [];
+    Somvas.on('saved', info => saved.push(info.slot));
+    
+    Storage.enableAutosave('auto', event => ({ scene: event.scene.name }));
+    Somvas.setScene('autosaveTo');
+    await Storage.queue;
+    Storage.disableAutosave();
+    Somvas.setScene('autosaveFrom');
+    await Storage.queue;
+    
+    const save = await Storage.load('auto', { scene: null });
+    assert.deepEqual(save.data, { scene: 'autosaveTo' });
+    assert.deepEqual(Object.keys(save.objects), ['player']);
+    assert.deepEqual(saved, ['auto']);
+});
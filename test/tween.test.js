@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Somvas = require('../index.js');
+
+// Fresh headless engine with one active scene
+function setup(name) {
+    Somvas.initHeadless(320, 240);
+    const scene = Somvas.createScene(name);
+    Somvas.setScene(name);
+    return scene;
+}
+
+function run(seconds, stepSize = 1 / 60) {
+    for (let time = 0; time < seconds; time += stepSize) Somvas.step(stepSize);
+}
+
+test('tweens move properties over their duration', () => {
+    setup('tween');
+    const box = { x: 0 };
+    const tween = Somvas.tween(box).to({ x: 100 }, 1);
+    
+    run(0.5);
+    assert.ok(box.x > 40 && box.x < 60);
+    run(0.6);
+    assert.equal(box.x, 100);
+    assert.equal(tween.state, 'completed');
+});
+
+test('repeating timelines run their calls and waits on every pass', () => {
+    setup('timeline');
+    const box = { x: 0 };
+    const calls = [];
+    const timeline = Somvas.timeline()
+        .call(() => calls.push(box.x))
+        .wait(1)
+        .add(Somvas.tween(box).to({ x: 10 }, 1))
+        .repeat(2);
+    
+    run(1.5);
+    assert.equal(calls.length, 1);
+    assert.ok(box.x < 10);
+    
+    // Second pass: the call fires again and the wait holds the tween back
+    run(1.2);
+    assert.deepEqual(calls, [0, 10]);
+    assert.equal(box.x, 10);
+    run(0.8);
+    assert.ok(box.x > 3 && box.x < 7);
+    
+    run(3);
+    assert.equal(calls.length, 3);
+    assert.equal(box.x, 10);
+    assert.equal(timeline.state, 'completed');
+});